@@ -0,0 +1,110 @@
+'use strict';
+
+const fs = require('fs');
+
+/**
+ * @typedef {Object} VersionistaAccount
+ * @property {String} name Name to use for the account in output
+ * @property {String} email
+ * @property {String} password
+ * @property {Object} client Options for the account's HTTP client. See
+ *           `createClient()` in `client.js`.
+ */
+
+// Names of client options as they appear in accounts files. These match the
+// scrape-versionista options with the same purpose.
+const clientOptionNames = {
+  parallel: 'maxSockets',
+  pauseEvery: 'sleepEvery',
+  pauseTime: 'sleepFor',
+  rate: 'maxPerMinute'
+};
+
+/**
+ * Read a list of accounts from a JSON file. The file should hold an array of
+ * accounts (or an object with an `accounts` property that is an array), like:
+ *
+ *     [{
+ *       "name": "versionista1",
+ *       "email": "someone@example.com",
+ *       "passwordEnv": "VERSIONISTA_1_PASSWORD",
+ *       "rate": 60,
+ *       "parallel": 2
+ *     }]
+ *
+ * Passwords are not stored in the file. Instead, `passwordEnv` names the
+ * environment variable that holds the account's password.
+ * @param {String} filePath
+ * @param {Object} [env] Environment variables to read passwords from.
+ *        Defaults to `process.env`.
+ * @returns {Promise<VersionistaAccount[]>}
+ */
+function loadAccounts (filePath, env = process.env) {
+  return fs.promises.readFile(filePath, 'utf8')
+    .then(text => {
+      let data;
+      try {
+        data = JSON.parse(text);
+      }
+      catch (error) {
+        throw accountsError(`Accounts file '${filePath}' is not valid JSON: ${error.message}`);
+      }
+      return parseAccounts(data, env);
+    });
+}
+
+/**
+ * Validate and normalize account configuration. See `loadAccounts()` for the
+ * format.
+ * @param {Object|Object[]} data
+ * @param {Object} [env] Environment variables to read passwords from.
+ * @returns {VersionistaAccount[]}
+ */
+function parseAccounts (data, env = process.env) {
+  const list = Array.isArray(data) ? data : data && data.accounts;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw accountsError('Accounts configuration must have a list of accounts');
+  }
+
+  const names = new Set();
+  return list.map((account, index) => {
+    if (!account.email) {
+      throw accountsError(`Account ${index} has no 'email'`);
+    }
+
+    const name = account.name || account.email.split('@')[0];
+    if (names.has(name)) {
+      throw accountsError(`More than one account is named '${name}'`);
+    }
+    names.add(name);
+
+    if (!account.passwordEnv) {
+      throw accountsError(`Account '${name}' has no 'passwordEnv'`);
+    }
+    const password = env[account.passwordEnv];
+    if (!password) {
+      throw accountsError(`No password for account '${name}' (the ${account.passwordEnv} environment variable is not set)`);
+    }
+
+    const client = {};
+    Object.keys(clientOptionNames).forEach(key => {
+      if (account[key] != null) {
+        const value = Number(account[key]);
+        if (isNaN(value)) {
+          throw accountsError(`'${key}' for account '${name}' must be a number`);
+        }
+        client[clientOptionNames[key]] = value;
+      }
+    });
+
+    return {name, email: account.email, password, client};
+  });
+}
+
+function accountsError (message) {
+  const error = new Error(message);
+  error.code = 'VERSIONISTA:INVALID_ACCOUNTS';
+  return error;
+}
+
+module.exports = {loadAccounts, parseAccounts};
@@ -0,0 +1,166 @@
+'use strict';
+
+const {readJsonFile, writeJsonFile} = require('./json-file');
+
+// Fields of the plan that are dates and need to be revived from strings when
+// it is loaded.
+const dateFields = ['after', 'before', 'completedAt'];
+
+/**
+ * @typedef {Object} BackfillChunk
+ * @property {Number} index
+ * @property {Number} pages Number of candidate pages in the chunk
+ * @property {Number} estimatedVersions
+ * @property {String} status `pending` or `done`
+ * @property {Date} [completedAt]
+ * @property {Boolean} [hadErrors] Whether some versions' content or diffs
+ *           could not be saved when the chunk was scraped
+ */
+
+/**
+ * Estimate how many versions a candidate page might have in the backfill's
+ * time frame. Versionista only tells us how many versions a page has in
+ * total, so this is usually an overestimate, but it is good enough to keep
+ * pages that change a lot from all ending up in the same chunk. Pages with an
+ * unknown count are treated as having one version.
+ * @param {VersionistaPage} page
+ * @returns {Number}
+ */
+function estimateVersions (page) {
+  const total = page.totalVersions;
+  return (typeof total === 'number' && total > 0) ? total : 1;
+}
+
+/**
+ * Split sites and their candidate pages into chunks with roughly equal
+ * numbers of estimated versions. Each chunk is a list of sites (each with a
+ * subset of its pages), the same format as `get-versionista-metadata` writes
+ * and `get-versionista-page-chunk` reads.
+ * @param {VersionistaSite[]} sites Sites with a `pages` array
+ * @param {Number} maxVersions Aim for at most this many versions per chunk.
+ *        A single page with more versions than this gets a chunk to itself.
+ * @returns {Array<VersionistaSite[]>}
+ */
+function chunkSites (sites, maxVersions) {
+  const pages = [];
+  sites.forEach(site => {
+    (site.pages || []).forEach(page => pages.push({site, page}));
+  });
+
+  const total = pages.reduce((sum, item) => sum + estimateVersions(item.page), 0);
+  if (!total) return [];
+
+  // Aim for the same size in every chunk rather than filling every chunk but
+  // the last one.
+  const chunkCount = Math.ceil(total / maxVersions);
+  const target = total / chunkCount;
+
+  const chunks = [];
+  let chunk = null;
+  let chunkVersions = 0;
+  pages.forEach(({site, page}) => {
+    const versions = estimateVersions(page);
+    if (!chunk || (chunkVersions > 0 && chunkVersions + versions > target * 1.1)) {
+      chunk = [];
+      chunkVersions = 0;
+      chunks.push(chunk);
+    }
+
+    let savedSite = chunk[chunk.length - 1];
+    if (!savedSite || savedSite.id !== site.id) {
+      savedSite = Object.assign({}, site, {pages: []});
+      chunk.push(savedSite);
+    }
+    savedSite.pages.push(page);
+    chunkVersions += versions;
+  });
+
+  return chunks;
+}
+
+/**
+ * Keeps track of a backfill: the time frame being backfilled, the chunks of
+ * candidate pages it was split into, and which of them have been scraped.
+ * It is saved as JSON so a backfill can be stopped and picked up again later.
+ */
+class BackfillPlan {
+  /**
+   * Load a plan from disk.
+   * @param {String} filePath
+   * @returns {Promise<BackfillPlan>}
+   */
+  static load (filePath) {
+    return readJsonFile(filePath, {dateFields})
+      .catch(error => {
+        error.message = `Could not load backfill plan from '${filePath}': ${error.message}`;
+        throw error;
+      })
+      .then(data => new BackfillPlan(filePath, data));
+  }
+
+  /**
+   * @param {String} filePath Where to save the plan
+   * @param {Object} [data]
+   * @param {Object} [data.run] The account and time frame being backfilled,
+   *        e.g. `{account, after, before}`
+   * @param {BackfillChunk[]} [data.chunks]
+   */
+  constructor (filePath, data = {}) {
+    this.filePath = filePath;
+    this.run = data.run || {};
+    this.chunks = data.chunks || [];
+  }
+
+  /**
+   * Chunks that have not been scraped yet.
+   * @type {BackfillChunk[]}
+   */
+  get pendingChunks () {
+    return this.chunks.filter(chunk => chunk.status !== 'done');
+  }
+
+  /**
+   * Add a chunk of candidate sites and pages to the plan.
+   * @param {VersionistaSite[]} sites
+   * @returns {BackfillChunk}
+   */
+  addChunk (sites) {
+    const pages = sites.reduce((all, site) => all.concat(site.pages), []);
+    const chunk = {
+      index: this.chunks.length,
+      pages: pages.length,
+      estimatedVersions: pages.reduce((sum, page) => sum + estimateVersions(page), 0),
+      status: 'pending'
+    };
+    this.chunks.push(chunk);
+    return chunk;
+  }
+
+  /**
+   * Record a chunk as scraped and save the plan.
+   * @param {BackfillChunk} chunk
+   * @param {Object} [details] Additional information, e.g. `{hadErrors: true}`
+   * @returns {Promise}
+   */
+  markDone (chunk, details = {}) {
+    Object.assign(chunk, details, {status: 'done', completedAt: new Date()});
+    return this.save();
+  }
+
+  /**
+   * Write the plan to disk.
+   * @returns {Promise}
+   */
+  save () {
+    return writeJsonFile(
+      this.filePath,
+      {run: this.run, chunks: this.chunks},
+      {pretty: true}
+    );
+  }
+}
+
+BackfillPlan.chunkSites = chunkSites;
+BackfillPlan.estimateVersions = estimateVersions;
+
+module.exports = BackfillPlan;
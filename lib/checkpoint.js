@@ -0,0 +1,280 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const {reviveDates} = require('./json-file');
+
+// Save at most this often (in milliseconds) unless told to save immediately.
+const SAVE_INTERVAL = 60 * 1000;
+
+// Fields of sites/pages/versions that are dates and need to be revived from
+// strings when a checkpoint is loaded.
+const dateFields = [
+  'date',
+  'lastDate',
+  'lastChange',
+  'lastChecked',
+  'dateAdded',
+  'diffWithPreviousDate',
+  'diffWithFirstDate',
+  'diffWithPreviousSafeDate',
+  'diffWithFirstSafeDate',
+  'startTime',
+  'after',
+  'before'
+];
+
+const reviver = reviveDates(dateFields);
+
+/**
+ * @typedef {Object} CheckpointPage
+ * @property {VersionistaVersion[]} versions
+ * @property {VersionistaVersion[]} errorVersions
+ * @property {VersionistaDeletedVersion[]} deletedVersions
+ */
+
+/**
+ * Tracks the progress of a scrape on a per-page basis and periodically saves
+ * it to disk so that a crashed or interrupted run can be resumed later,
+ * skipping any pages that were already completed.
+ *
+ * Checkpoints are saved as JSON lines: the first line describes the run and
+ * each following line holds the results of one completed page. Saving only
+ * appends the pages completed since the last save, and only the location of
+ * each page's line in the file is kept in memory.
+ */
+class Checkpoint {
+  /**
+   * Load a checkpoint from disk. If the last line of the file was only
+   * partially written, it is removed.
+   * @param {String} filePath
+   * @returns {Promise<Checkpoint>}
+   */
+  static load (filePath) {
+    let run = null;
+    const pages = {};
+    let size = 0;
+
+    return new Promise((resolve, reject) => {
+      const input = fs.createReadStream(filePath);
+      input.on('error', reject);
+      const lines = readline.createInterface({input, crlfDelay: Infinity});
+      // Only the last line can be invalid; it was cut off by an interruption.
+      let invalidLine = false;
+      let invalidData = false;
+      lines.on('line', line => {
+        if (invalidLine) {
+          invalidData = invalidData || !!line.trim();
+          return;
+        }
+
+        const length = Buffer.byteLength(line);
+        if (line.trim()) {
+          let record;
+          try {
+            record = JSON.parse(line, reviver);
+          }
+          catch (error) {
+            invalidLine = true;
+            return;
+          }
+
+          if (!run) {
+            run = record.run || {};
+          }
+          else {
+            pages[record.page] = {offset: size, length};
+          }
+        }
+        size += length + 1;
+      });
+      lines.on('close', () => resolve(invalidData));
+    })
+      .then(invalidData => {
+        if (invalidData) {
+          throw new Error('Found invalid data before the end of the file');
+        }
+        if (!run) {
+          throw new Error('No run information found');
+        }
+        return fs.promises.stat(filePath);
+      })
+      .then(stat => {
+        if (size < stat.size) {
+          return fs.promises.truncate(filePath, size);
+        }
+        else if (size > stat.size) {
+          // The last line was complete, but not its line break.
+          return fs.promises.appendFile(filePath, '\n', 'utf8');
+        }
+      })
+      .catch(error => {
+        error.message = `Could not load checkpoint from '${filePath}': ${error.message}`;
+        throw error;
+      })
+      .then(() => {
+        const checkpoint = new Checkpoint(filePath, {run});
+        checkpoint.pages = pages;
+        checkpoint._size = size;
+        return checkpoint;
+      });
+  }
+
+  /**
+   * Create a new checkpoint.
+   * @param {String} filePath Where to save the checkpoint
+   * @param {Object} [data] Previously saved checkpoint data
+   * @param {Object} [data.run] Information about the run being checkpointed,
+   *        e.g. `startTime`, `after`, `before`. This should be the same when
+   *        resuming as it was originally.
+   * @param {Number} [saveInterval] Milliseconds to wait between saves
+   */
+  constructor (filePath, data = {}, saveInterval = SAVE_INTERVAL) {
+    this.filePath = filePath;
+    this.run = data.run || {};
+    // Where each completed page is in the file, or its results if they have
+    // not been saved yet.
+    this.pages = {};
+    this.saveInterval = saveInterval;
+    this._pending = [];
+    // Size of the file as saved so far, or null if nothing was saved yet.
+    this._size = null;
+    this._lastSave = Date.now();
+    this._saving = Promise.resolve();
+    this._reading = Promise.resolve();
+  }
+
+  /**
+   * Get the saved results for a page if it was already completed.
+   * @param {VersionistaPage} page
+   * @returns {Promise<CheckpointPage>}
+   */
+  getPage (page) {
+    const entry = this.pages[page.versionistaUrl];
+    if (!entry) return Promise.resolve(undefined);
+    if (entry.results) return Promise.resolve(entry.results);
+
+    // Read one page at a time so that looking up lots of pages at once
+    // doesn't open lots of files at once.
+    const buffer = Buffer.alloc(entry.length);
+    const read = this._reading
+      .catch(() => {})
+      .then(() => fs.promises.open(this.filePath, 'r'))
+      .then(file => file.read(buffer, 0, entry.length, entry.offset)
+        .then(
+          () => file.close(),
+          error => file.close().then(() => { throw error; })));
+    this._reading = read;
+    return read.then(() => JSON.parse(buffer.toString('utf8'), reviver));
+  }
+
+  /**
+   * Record a page as complete. The checkpoint will be saved if enough time
+   * has passed since the last save.
+   * @param {VersionistaPage} page
+   * @returns {Promise}
+   */
+  recordPage (page) {
+    const results = {
+      page: page.versionistaUrl,
+      versions: page.versions || [],
+      errorVersions: page.errorVersions || [],
+      deletedVersions: page.deletedVersions || []
+    };
+    this.pages[page.versionistaUrl] = {results};
+    this._pending.push(results);
+
+    if (Date.now() - this._lastSave >= this.saveInterval) {
+      return this.save();
+    }
+    return this._saving;
+  }
+
+  /**
+   * Number of pages that have been completed.
+   * @type {Number}
+   */
+  get completedPages () {
+    return Object.keys(this.pages).length;
+  }
+
+  /**
+   * Save the checkpoint to a new location from now on. What has been saved
+   * so far is copied there.
+   * @param {String} filePath
+   * @returns {Promise}
+   */
+  moveTo (filePath) {
+    this._saving = this._saving
+      .catch(() => {})
+      .then(() => {
+        if (this._size === null) return;
+        return fs.promises.mkdir(path.dirname(filePath), {recursive: true})
+          .then(() => fs.promises.copyFile(this.filePath, filePath));
+      })
+      .then(() => {
+        this.filePath = filePath;
+      });
+    return this._saving;
+  }
+
+  /**
+   * Write pages completed since the last save to disk. Saves are queued, so
+   * it is safe to call this while a previous save is still in progress.
+   * @returns {Promise}
+   */
+  save () {
+    this._lastSave = Date.now();
+    this._saving = this._saving
+      .catch(() => {})
+      .then(() => {
+        const pending = this._pending;
+        this._pending = [];
+
+        const lines = [];
+        if (this._size === null) {
+          lines.push(JSON.stringify({run: this.run}) + '\n');
+        }
+        const offset = this._size || 0;
+        let position = offset + (lines.length ? Buffer.byteLength(lines[0]) : 0);
+        const written = pending.map(results => {
+          const line = JSON.stringify(results);
+          const length = Buffer.byteLength(line);
+          lines.push(line + '\n');
+          const entry = {offset: position, length};
+          position += length + 1;
+          return entry;
+        });
+        const data = lines.join('');
+        if (!data) return;
+
+        const write = this._size === null
+          ? fs.promises.mkdir(path.dirname(this.filePath), {recursive: true})
+            .then(() => fs.promises.writeFile(this.filePath, data, 'utf8'))
+          : fs.promises.appendFile(this.filePath, data, 'utf8');
+
+        return write
+          .then(() => {
+            this._size = position;
+            pending.forEach((results, index) => {
+              // A page could have been recorded again while saving.
+              const entry = this.pages[results.page];
+              if (entry && entry.results === results) {
+                this.pages[results.page] = written[index];
+              }
+            });
+          }, error => {
+            // Try again with the next save.
+            this._pending = pending.concat(this._pending);
+            const cleanUp = this._size === null
+              ? Promise.resolve()
+              : fs.promises.truncate(this.filePath, this._size);
+            return cleanUp.catch(() => {}).then(() => { throw error; });
+          });
+      });
+    return this._saving;
+  }
+}
+
+module.exports = Checkpoint;
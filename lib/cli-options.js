@@ -0,0 +1,95 @@
+'use strict';
+
+const {parseDiffTypes} = require('./diff-types');
+const {getFormatter} = require('./formatters');
+const {localDiffTypes} = require('./local-diff');
+const {parseSize} = require('./tools');
+
+// Used for --max-memory-size if it isn't set. This isn't a neodoc default,
+// since neodoc would parse '10MB' as the number 10.
+const DEFAULT_MAX_MEMORY_SIZE = '10MB';
+
+/**
+ * Check that an option is one of a list of choices.
+ * @param {Object} args Parsed command-line arguments
+ * @param {String} name Name of the option, e.g. `--content-layout`
+ * @param {String[]} choices
+ * @throws {Error} If the option is set to something else
+ */
+function checkChoice (args, name, choices) {
+  if (!choices.includes(args[name])) {
+    throw new Error(`${name} must be one of: ${choices.join(', ')}`);
+  }
+}
+
+/**
+ * Parse the `--max-content-size` and `--max-memory-size` options into numbers
+ * of bytes, filling in the default for `--max-memory-size`. `args` is
+ * modified in place.
+ * @param {Object} args Parsed command-line arguments
+ * @throws {Error} If a size is invalid
+ */
+function parseSizeOptions (args) {
+  if (args['--max-memory-size'] == null) {
+    args['--max-memory-size'] = DEFAULT_MAX_MEMORY_SIZE;
+  }
+  ['--max-content-size', '--max-memory-size'].forEach(name => {
+    if (args[name] == null) return;
+    args[name] = parseSize(args[name]);
+    if (!(args[name] >= 0)) {
+      throw new Error(`${name} must be a number of bytes, like '2000000' or '2MB'`);
+    }
+  });
+}
+
+/**
+ * Get the formatter for the `--format` option.
+ * @param {String} format
+ * @returns {Function}
+ * @throws {Error} If there is no such format
+ */
+function loadFormatter (format) {
+  try {
+    return getFormatter(format);
+  }
+  catch (error) {
+    error.message = `--format: ${error.message}`;
+    throw error;
+  }
+}
+
+/**
+ * Parse the `--diff-types` option, checking that the `--diff-engine` can make
+ * all the requested types.
+ * @param {Object} args Parsed command-line arguments
+ * @returns {DiffType[]}
+ * @throws {Error} If a type is unknown or can't be made
+ */
+function parseDiffTypeOption (args) {
+  let diffTypes;
+  try {
+    diffTypes = parseDiffTypes(args['--diff-types']);
+  }
+  catch (error) {
+    error.message = `--diff-types: ${error.message}`;
+    throw error;
+  }
+
+  if (args['--diff-engine'] === 'local') {
+    const unsupported = diffTypes
+      .map(diffType => diffType.type)
+      .filter(type => !localDiffTypes.includes(type));
+    if (unsupported.length) {
+      throw new Error(`--diff-types: the local diff engine can't make '${unsupported.join("', '")}' diffs`);
+    }
+  }
+
+  return diffTypes;
+}
+
+module.exports = {
+  checkChoice,
+  parseSizeOptions,
+  loadFormatter,
+  parseDiffTypeOption
+};
@@ -1,6 +1,9 @@
 'use strict';
 
+const EventEmitter = require('events');
 const request = require('request');
+const {NetworkError, VersionistaError} = require('./errors');
+const url = require('url');
 
 const MAX_SOCKETS = 6;
 const USER_AGENT = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_12_3) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/56.0.2924.87 Safari/537.36';
@@ -9,6 +12,17 @@ const SLEEP_FOR = 1000;
 const MAX_RETRIES = 3;
 const MAX_PER_MINUTE = 0;
 
+// In adaptive mode, a response is "slow" if it takes this many times longer
+// than the typical healthy response (and at least MIN_SLOW_LATENCY ms).
+const SLOW_FACTOR = 3;
+const MIN_SLOW_LATENCY = 1000;
+// How much weight each new response has in the typical latency.
+const LATENCY_SMOOTHING = 0.2;
+// Wait this long before retrying throttled requests with no Retry-After.
+const DEFAULT_RETRY_AFTER = 30 * 1000;
+
+const rateModes = ['fixed', 'adaptive'];
+
 // LibUV error codes we should attempt to resolve by retrying.
 // List of all codes: https://github.com/nodejs/node/blob/8174d0c8cae857296c45b2c448348f2c781f6ace/deps/uv/include/uv.h#L66-L145
 const RETRYABLE_ERRORS = [
@@ -21,14 +35,79 @@ const RETRYABLE_ERRORS = [
   'ETIMEDOUT'      // connection timed out
 ];
 
-function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepEvery = SLEEP_EVERY, sleepFor = SLEEP_FOR, maxPerMinute = MAX_PER_MINUTE} = {}) {
+/**
+ * @typedef {Object} ClientStats
+ * @property {Number} requests Total requests made (including retries)
+ * @property {Number} sleepTime Total milliseconds spent deliberately paused
+ * @property {Number} retries
+ * @property {Number} throttled Responses that asked us to slow down (429 or
+ *           503 with a `Retry-After` header)
+ * @property {Number} errors Network errors and 5xx responses
+ * @property {Number} requestsPerMinute Effective rate over the whole time the
+ *           client has been making requests
+ * @property {Number} averageLatency Typical response time in milliseconds
+ * @property {Number} concurrency Current maximum simultaneous requests
+ * @property {Number} minimumConcurrency Lowest `concurrency` has been
+ */
+
+/**
+ * Create a function for making rate-limited HTTP requests. It takes `request`
+ * options and returns a promise for a response.
+ *
+ * In either rate mode, requests Versionista throttles (with a 429 status or a
+ * 503 with a `Retry-After` header) are retried after the time it asks for.
+ * In `adaptive` rate mode, the client also slows down when that happens and
+ * reduces the number of simultaneous requests when responses get slow or
+ * fail, then gradually raises it back to `maxSockets` while things are
+ * healthy.
+ * @param {Object} [options]
+ * @param {String} [options.rateMode='fixed'] `fixed` or `adaptive`
+ * @param {HttpRecorder} [options.recorder] Record or replay every request
+ *        with this. When replaying, there are no pauses or rate limits.
+ *
+ * Besides the usual `request` options, each request can have a `streamTo`
+ * option, which is a function that is called with the response before its
+ * body has been read. It can return a writable stream to pipe the body to
+ * instead of holding it in memory (the response will then have no `body`, but
+ * will have a `streamedBytes` property), or nothing to read the body into a
+ * Buffer as usual. If it throws, the request is aborted and fails with that
+ * error. Requests are always read into memory when there is a recorder, since
+ * it needs the whole body.
+ * @returns {Function} The client also has `cookieJar` and `maxSockets`
+ *          properties, a `stats()` method, which returns a `ClientStats`
+ *          object, and an `events` property, which is an EventEmitter that
+ *          emits `request` (with a `RequestEvent`) after every request
+ *          (including retries) and `sleep` (with `{duration}`) whenever
+ *          requests are paused.
+ */
+function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepEvery = SLEEP_EVERY, sleepFor = SLEEP_FOR, maxPerMinute = MAX_PER_MINUTE, rateMode = 'fixed', recorder = null} = {}) {
+  if (recorder && recorder.offline) {
+    sleepEvery = 0;
+    sleepFor = 0;
+    maxPerMinute = 0;
+  }
   maxPerMinute = maxPerMinute || Infinity; // Allow 0 to imply Infinity
+  if (!rateModes.includes(rateMode)) {
+    throw new Error(`Unknown rate mode: '${rateMode}' (must be one of ${rateModes.join(', ')})`);
+  }
+  const adaptive = rateMode === 'adaptive';
 
   const cookieJar = request.jar();
-  const versionistaRequest = request.defaults({
+  let versionistaRequest = request.defaults({
     jar: cookieJar,
     headers: {'User-Agent': userAgent}
   });
+  const baseRequest = versionistaRequest;
+  if (recorder) {
+    versionistaRequest = recorder.wrap(versionistaRequest);
+  }
+
+  function send (options, callback) {
+    if (options.streamTo && !recorder) {
+      return streamRequest(baseRequest, options, callback);
+    }
+    return versionistaRequest(options, callback);
+  }
 
   // Manage simultaneous requests. Request can actually do this natively with
   // its `pool` feature, but that can result in timeouts when a lot of requests
@@ -51,6 +130,8 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
 
   function sleep (time = sleepFor) {
     sleeping = true;
+    stats.sleepTime += time;
+    events.emit('sleep', {duration: time});
     setTimeout(() => {
       sleeping = false;
       untilSleep = sleepEvery;
@@ -58,13 +139,87 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
     }, time);
   }
 
-  let availableSockets = maxSockets;
+  // How many requests may be in flight at once. This only changes in
+  // adaptive mode.
+  let concurrency = maxSockets;
+  let activeRequests = 0;
+  // Healthy responses since concurrency last changed.
+  let healthyCount = 0;
+  let lastSlowdown = 0;
+  let averageLatency = null;
+
+  const events = new EventEmitter();
+  const stats = {
+    sleepTime: 0,
+    requests: 0,
+    retries: 0,
+    throttled: 0,
+    errors: 0,
+    minimumConcurrency: concurrency,
+    firstRequest: null,
+    lastResponse: null
+  };
+
+  function slowDown (now) {
+    // Several requests in flight at once will probably all be slow, but that's
+    // only one signal to slow down.
+    if (now - lastSlowdown < (averageLatency || 0)) return;
+
+    lastSlowdown = now;
+    healthyCount = 0;
+    concurrency = Math.max(1, Math.floor(concurrency / 2));
+    stats.minimumConcurrency = Math.min(stats.minimumConcurrency, concurrency);
+  }
+
+  function speedUp () {
+    healthyCount++;
+    if (healthyCount >= concurrency && concurrency < maxSockets) {
+      healthyCount = 0;
+      concurrency++;
+      process.nextTick(doNextRequest);
+    }
+  }
+
+  // Update adaptive state for a response. Returns how long to wait before
+  // retrying if the server asked us to slow down (in either rate mode).
+  function adapt (error, response, latency) {
+    const now = Date.now();
+    const throttled = response && (response.statusCode === 429 ||
+      (response.statusCode === 503 && response.headers['retry-after']));
+    if (throttled) {
+      stats.throttled++;
+    }
+    else if (error || response.statusCode >= 500) {
+      stats.errors++;
+    }
+
+    const retryAfter = throttled
+      ? parseRetryAfter(response.headers['retry-after'], now)
+      : null;
+    if (!adaptive) return retryAfter;
+
+    const slow = averageLatency != null && latency > Math.max(
+      MIN_SLOW_LATENCY,
+      SLOW_FACTOR * averageLatency);
+    if (throttled || error || response.statusCode >= 500 || slow) {
+      slowDown(now);
+    }
+    else {
+      averageLatency = averageLatency == null
+        ? latency
+        : averageLatency + LATENCY_SMOOTHING * (latency - averageLatency);
+      speedUp();
+    }
+
+    return retryAfter;
+  }
+
   let windowStart;
   let windowSize = 60 * 1000; // 1 minute
   let availableInWindow = maxPerMinute;
   const queue = [];
   function doNextRequest () {
-    if (availableSockets <= 0 || sleeping) return;
+    if (activeRequests >= concurrency || sleeping) return;
 
     const now = Date.now();
     if (windowStart) {
@@ -85,19 +240,30 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
 
     const task = queue.shift();
     if (task) {
-      availableSockets--;
+      activeRequests++;
       availableInWindow--;
-      versionistaRequest(task.options, (error, response) => {
-        availableSockets++;
+      stats.requests++;
+      stats.firstRequest = stats.firstRequest || now;
+      send(task.options, (error, response) => {
+        activeRequests--;
+        stats.lastResponse = Date.now();
+        const retryAfter = adapt(error, response, stats.lastResponse - now);
+        events.emit('request', requestEvent(task, error, response, now));
         sleepIfNecessary();
 
         const shouldRetry = (error && RETRYABLE_ERRORS.includes(error.code))
-          || (response && task.retryIf(response));
+          || (response && task.retryIf(response))
+          || retryAfter != null;
 
         if (shouldRetry && task.retries < MAX_RETRIES) {
           task.retries += 1;
+          stats.retries++;
           queue.unshift(task);
-          sleep(sleepFor * task.retries * 2);
+          sleep(retryAfter != null ? retryAfter : sleepFor * task.retries * 2);
+        }
+        else if (error instanceof VersionistaError) {
+          // Errors from a `streamTo` function are already meaningful.
+          task.reject(error);
         }
         else if (error) {
           let message = error.message;
@@ -107,9 +273,10 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
           catch (jsonError) {
             message += ' with unserializable options';
           }
-          const customError = new Error(message);
-          customError.code = error.code;
-          task.reject(customError);
+          task.reject(new NetworkError(message, {
+            cause: error,
+            url: task.options.url || task.options.uri
+          }));
         }
         else {
           task.resolve(response);
@@ -125,10 +292,11 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
   // By default, auto-retry on gateway errors
   const defaultRetryIf = r => (r.statusCode >= 502 && r.statusCode <= 504);
 
-  return function (options) {
+  const client = function (options) {
     return new Promise((resolve, reject) => {
       const task = {
         options: options,
+        queuedAt: Date.now(),
         retries: (options.retry === false) ? MAX_RETRIES : 0,
         retryIf: options.retryIf || defaultRetryIf,
         resolve,
@@ -138,6 +306,142 @@ function createClient ({userAgent = USER_AGENT, maxSockets = MAX_SOCKETS, sleepE
       doNextRequest();
     });
   };
+  client.cookieJar = cookieJar;
+  client.events = events;
+  client.maxSockets = maxSockets;
+  client.stats = function () {
+    const minutes = stats.firstRequest
+      ? (stats.lastResponse - stats.firstRequest) / 60000
+      : 0;
+    return {
+      requests: stats.requests,
+      sleepTime: stats.sleepTime,
+      retries: stats.retries,
+      throttled: stats.throttled,
+      errors: stats.errors,
+      requestsPerMinute: minutes > 0 ? stats.requests / minutes : 0,
+      averageLatency: averageLatency,
+      concurrency,
+      minimumConcurrency: stats.minimumConcurrency
+    };
+  };
+
+  return client;
+}
+
+/**
+ * Make a request, passing the body to the stream returned by
+ * `options.streamTo(response)` (if any) instead of buffering it.
+ * @param {Function} send The `request` module or a function like it
+ * @param {Object} options
+ * @param {Function} callback
+ */
+function streamRequest (send, options, callback) {
+  const requestOptions = Object.assign({}, options);
+  delete requestOptions.streamTo;
+
+  let destination = null;
+  let finished = false;
+  const finish = (error, response) => {
+    if (finished) return;
+    finished = true;
+    if (error) {
+      outgoing.abort();
+      if (destination) destination.destroy();
+    }
+    callback(error, response);
+  };
+
+  const outgoing = send(requestOptions);
+  outgoing.on('error', finish);
+  outgoing.on('response', response => {
+    try {
+      destination = options.streamTo(response);
+    }
+    catch (error) {
+      return finish(error);
+    }
+
+    let bytes = 0;
+    const chunks = [];
+    outgoing.on('data', chunk => {
+      bytes += chunk.length;
+      if (!destination) chunks.push(chunk);
+    });
+
+    if (destination) {
+      destination.on('error', finish);
+      destination.on('finish', () => {
+        response.streamedBytes = bytes;
+        finish(null, response);
+      });
+      outgoing.pipe(destination);
+    }
+    else {
+      outgoing.on('end', () => {
+        response.body = Buffer.concat(chunks);
+        finish(null, response);
+      });
+    }
+  });
+}
+
+/**
+ * @typedef {Object} RequestEvent
+ * @property {String} host
+ * @property {String} kind What sort of request this was (from the `kind`
+ *           request option), e.g. `versions-api`. Defaults to `other`.
+ * @property {String} method
+ * @property {Number} [status] HTTP status code, if there was a response
+ * @property {String} [error] Error code if there was no response
+ * @property {Number} bytes Size of the response body
+ * @property {Number} duration Milliseconds from sending the request to
+ *           receiving the whole response
+ * @property {Number} queueWait Milliseconds the request waited to be sent
+ * @property {Number} retries How many times the request had been retried
+ */
+
+function requestEvent (task, error, response, startTime) {
+  const options = task.options;
+  const requestUrl = options.url || options.uri || '';
+  let body = response && response.body;
+  if (body && !Buffer.isBuffer(body) && typeof body !== 'string') {
+    // Parsed JSON
+    body = JSON.stringify(body);
+  }
+
+  return {
+    host: url.parse(requestUrl.toString()).host,
+    kind: options.kind || 'other',
+    method: (options.method || 'GET').toUpperCase(),
+    status: response ? response.statusCode : undefined,
+    error: error ? (error.code || 'UNKNOWN') : undefined,
+    bytes: body ? Buffer.byteLength(body) : ((response && response.streamedBytes) || 0),
+    duration: Date.now() - startTime,
+    queueWait: startTime - task.queuedAt,
+    retries: task.retries
+  };
+}
+
+/**
+ * Get the number of milliseconds to wait from a `Retry-After` header, which
+ * may be a number of seconds or an HTTP date.
+ * @param {String} [value]
+ * @param {Number} [now] Current time in milliseconds
+ * @returns {Number}
+ */
+function parseRetryAfter (value, now = Date.now()) {
+  if (!value) return DEFAULT_RETRY_AFTER;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) return Math.max(0, date - now);
+
+  return DEFAULT_RETRY_AFTER;
 }
 
 module.exports = createClient;
+module.exports.parseRetryAfter = parseRetryAfter;
+module.exports.rateModes = rateModes;
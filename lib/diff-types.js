@@ -0,0 +1,67 @@
+'use strict';
+
+/**
+ * @typedef {Object} DiffType
+ * @property {String} type Name of the type on Versionista's diff host
+ * @property {String} field Property of a version the diff info is stored in
+ * @property {String} suffix Added to the name of saved diff files
+ * @property {String} label Used for column names in CSV output
+ * @property {String} metadataKey Prefix for keys in web-monitoring-db metadata
+ */
+
+/**
+ * The types of diffs Versionista's diff host can produce, in the same order
+ * as the Versionista UI. `only` and `text_only` are what we have always
+ * captured, so they keep their historical field names (`diff` and `textDiff`)
+ * and file names.
+ * @type {DiffType[]}
+ */
+const diffTypes = [
+  // "rendered: single page" in UI
+  {type: 'edits', field: 'editsDiff', suffix: '-edits', label: 'Edits Diff', metadataKey: 'diff_edits'},
+  // "rendered: screenshots" in UI
+  {type: 'screenshots', field: 'screenshotsDiff', suffix: '-screenshots', label: 'Screenshots Diff', metadataKey: 'diff_screenshots'},
+  // "source: formatted" in UI
+  {type: 'html', field: 'htmlDiff', suffix: '-html', label: 'Formatted Source Diff', metadataKey: 'diff_html'},
+  // "source: filtered" in UI
+  {type: 'filtered', field: 'filteredDiff', suffix: '-filtered', label: 'Filtered Source Diff', metadataKey: 'diff_filtered'},
+  // "source: changes only" in UI
+  {type: 'only', field: 'diff', suffix: '', label: 'Diff', metadataKey: 'diff'},
+  // "text" in UI
+  {type: 'text', field: 'fullTextDiff', suffix: '-text-full', label: 'Full Text Diff', metadataKey: 'diff_full_text'},
+  // "text: changes only" in UI
+  {type: 'text_only', field: 'textDiff', suffix: '-text', label: 'Text Diff', metadataKey: 'diff_text'}
+];
+
+const defaultTypes = ['only', 'text_only'];
+
+/**
+ * Get information about a diff type by name.
+ * @param {String} type
+ * @returns {DiffType}
+ */
+function getDiffType (type) {
+  const result = diffTypes.find(item => item.type === type);
+  if (!result) {
+    throw new Error(`Unknown diff type: '${type}' (must be one of ${diffTypes.map(item => item.type).join(', ')})`);
+  }
+  return result;
+}
+
+/**
+ * Parse a comma-separated list of diff type names.
+ * @param {String|String[]} text
+ * @returns {DiffType[]}
+ */
+function parseDiffTypes (text) {
+  const names = Array.isArray(text) ? text : text.split(',');
+  return names
+    .map(type => type.trim())
+    .filter(type => !!type)
+    .map(getDiffType);
+}
+
+module.exports = diffTypes;
+module.exports.defaultTypes = defaultTypes;
+module.exports.getDiffType = getDiffType;
+module.exports.parseDiffTypes = parseDiffTypes;
@@ -0,0 +1,249 @@
+'use strict';
+
+const url = require('url');
+
+/**
+ * Information about what an error relates to. Every property is optional.
+ * @typedef {Object} ErrorContext
+ * @property {String} [siteId]
+ * @property {String} [pageId]
+ * @property {String} [versionId]
+ * @property {String} [url] The URL that was being requested
+ * @property {String} [operation] What was being done, e.g. `content` (getting
+ *           a version's raw content), `diff`, `text` (extracting text from a
+ *           version's content), or `versions`
+ * @property {String} [diffType] For diffs, the type of diff (see
+ *           `lib/diff-types.js`)
+ */
+
+const contextFields = ['siteId', 'pageId', 'versionId', 'url', 'operation', 'diffType'];
+
+/**
+ * Base class for errors from Versionista and the scraper. Like any error in
+ * this package, it has a `code` string (e.g. `VERSIONISTA:INVALID_URL`) that
+ * identifies the kind of problem, and it may also have `ErrorContext`
+ * properties.
+ */
+class VersionistaError extends Error {
+  /**
+   * @param {String} message
+   * @param {ErrorContext} [context] May also include `code`, and `cause` (the
+   *        underlying error, if any).
+   */
+  constructor (message, context = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.code = context.code || this.constructor.code;
+    if (context.cause) {
+      this.cause = context.cause;
+    }
+    addContext(this, context);
+  }
+}
+VersionistaError.code = 'VERSIONISTA:ERROR';
+
+/** Logging in failed, or Versionista logged us out and we couldn't recover. */
+class AuthenticationError extends VersionistaError {}
+AuthenticationError.code = 'VERSIONISTA:AUTH_FAILED';
+
+/** Data from Versionista's API was not in the format we expected. */
+class SchemaMismatchError extends VersionistaError {}
+SchemaMismatchError.code = 'VERSIONISTA:SCHEMA_MISMATCH';
+
+/**
+ * A URL for a version or diff doesn't exist. This usually means Versionista
+ * deleted the version after we found it.
+ */
+class InvalidUrlError extends VersionistaError {}
+InvalidUrlError.code = 'VERSIONISTA:INVALID_URL';
+
+/** The separate host Versionista serves diffs from had a problem. */
+class DiffHostError extends VersionistaError {}
+DiffHostError.code = 'VERSIONISTA:API_ERROR';
+
+/**
+ * A version's raw content is bigger than the largest size we were asked to
+ * download, so it was not saved.
+ */
+class ContentTooLargeError extends VersionistaError {
+  /**
+   * @param {String} message
+   * @param {ErrorContext} [context] May also include `length` (the size of
+   *        the content, if known) and `maxSize`.
+   */
+  constructor (message, context = {}) {
+    super(message, context);
+    this.length = context.length;
+    this.maxSize = context.maxSize;
+  }
+}
+ContentTooLargeError.code = 'VERSIONISTA:CONTENT_TOO_LARGE';
+
+/**
+ * Text could not be extracted from a document (e.g. a PDF was damaged or
+ * encrypted). The document itself is still saved.
+ */
+class TextExtractionError extends VersionistaError {}
+TextExtractionError.code = 'VERSIONISTA:TEXT_EXTRACTION_FAILED';
+
+/** Versionista responded with an unexpected HTTP error status. */
+class HttpError extends VersionistaError {
+  /**
+   * @param {String} message
+   * @param {ErrorContext} [context] May also include `status`.
+   */
+  constructor (message, context = {}) {
+    super(message, context);
+    this.status = context.status;
+  }
+}
+HttpError.code = 'VERSIONISTA:HTTP_ERROR';
+
+/**
+ * Versionista kept asking us to slow down (with a 429 status), even after
+ * waiting and retrying.
+ */
+class RateLimitedError extends HttpError {
+  /**
+   * @param {String} message
+   * @param {ErrorContext} [context] May also include `retryAfter`, the
+   *        number of milliseconds Versionista asked us to wait.
+   */
+  constructor (message, context = {}) {
+    super(message, Object.assign({status: 429}, context));
+    this.retryAfter = context.retryAfter;
+  }
+}
+RateLimitedError.code = 'VERSIONISTA:RATE_LIMITED';
+
+/**
+ * A request failed without getting any response (e.g. the connection was
+ * reset). The code is the underlying error's code (e.g. `ECONNRESET`) if it
+ * had one.
+ */
+class NetworkError extends VersionistaError {
+  constructor (message, context = {}) {
+    const cause = context.cause;
+    super(message, Object.assign({code: cause && cause.code}, context));
+  }
+}
+NetworkError.code = 'VERSIONISTA:NETWORK_ERROR';
+
+/**
+ * Add context to an error. Properties the error already has are not changed,
+ * so context from where an error was created wins over context added as it
+ * propagates.
+ * @param {Error} error
+ * @param {ErrorContext} context
+ * @returns {Error} The same error
+ */
+function addContext (error, context) {
+  if (!error || typeof error !== 'object' || !context) return error;
+
+  contextFields.forEach(field => {
+    if (error[field] == null && context[field] != null) {
+      error[field] = String(context[field]);
+    }
+  });
+  return error;
+}
+
+/**
+ * Get the site, page, and version IDs from a Versionista URL, like
+ * `https://versionista.com/74273/6221569/10485802/`. A diff URL, like
+ * `https://versionista.com/74273/6221569/10485802:10485801/`, gives the ID of
+ * the newer version.
+ * @param {String} versionistaUrl
+ * @returns {ErrorContext}
+ */
+function contextFromUrl (versionistaUrl) {
+  const context = {url: versionistaUrl};
+  const pathname = url.parse(versionistaUrl || '').pathname || '';
+  const match = pathname.match(/^\/(\d+)(?:\/(\d+))?(?:\/(\d+)(?::\d+)?)?\//);
+  if (match) {
+    context.siteId = match[1];
+    context.pageId = match[2];
+    context.versionId = match[3];
+  }
+  return context;
+}
+
+/**
+ * Describe what version an error relates to.
+ * @param {VersionistaVersion} version
+ * @param {ErrorContext} [context] Additional context, e.g. `{operation: 'diff'}`
+ * @returns {ErrorContext}
+ */
+function contextFromVersion (version, context) {
+  return Object.assign({
+    siteId: version.siteId,
+    pageId: version.pageId,
+    versionId: version.versionId,
+    url: version.url
+  }, context);
+}
+
+/**
+ * Create a plain object describing an error, suitable for logging as JSON.
+ * @param {Error|String} error
+ * @param {ErrorContext} [context] Additional context
+ * @returns {Object}
+ */
+function toRecord (error, context = {}) {
+  if (typeof error === 'string') {
+    error = {name: 'Message', message: error};
+  }
+
+  const record = {
+    time: new Date().toISOString(),
+    type: error.name || 'Error',
+    code: error.code || null,
+    message: error.message
+  };
+  contextFields.forEach(field => {
+    const value = error[field] != null ? error[field] : context[field];
+    if (value != null) {
+      record[field] = String(value);
+    }
+  });
+  if (error.status != null) record.status = error.status;
+  if (error.retryAfter != null) record.retryAfter = error.retryAfter;
+  if (error.stack) record.stack = error.stack;
+  return record;
+}
+
+/**
+ * Describe an error as human-readable text for logs. If there is any context,
+ * it is listed on a line after the stack trace.
+ * @param {Error|String} error
+ * @param {ErrorContext} [context] Additional context
+ * @returns {String}
+ */
+function toText (error, context = {}) {
+  if (typeof error === 'string') return error;
+
+  const text = error.stack || error.message || error.toString();
+  const record = toRecord(error, context);
+  const details = contextFields
+    .filter(field => record[field] != null && !(field === 'url' && text.includes(record.url)))
+    .map(field => `${field}: ${record[field]}`);
+  return details.length ? `${text}\n  (${details.join(', ')})` : text;
+}
+
+module.exports = {
+  VersionistaError,
+  AuthenticationError,
+  SchemaMismatchError,
+  InvalidUrlError,
+  DiffHostError,
+  ContentTooLargeError,
+  TextExtractionError,
+  HttpError,
+  RateLimitedError,
+  NetworkError,
+  addContext,
+  contextFromUrl,
+  contextFromVersion,
+  toRecord,
+  toText
+};
@@ -0,0 +1,33 @@
+'use strict';
+
+/**
+ * Get a flat list of every version in a list of sites, along with the site
+ * and page each version belongs to.
+ * @param {VersionistaSite[]} sites Sites with `pages` that have versions.
+ * @param {String} [versionType='versions'] The property of each page to get
+ *        versions from, e.g. `errorVersions` or `deletedVersions`.
+ * @returns {VersionistaVersionRecord[]}
+ */
+function versionRecords (sites, versionType = 'versions') {
+  const records = [];
+  sites.forEach(site => {
+    (site.pages || []).forEach(page => {
+      (page[versionType] || []).forEach(version => {
+        records.push({site, page, version});
+      });
+    });
+  });
+  return records;
+}
+
+/**
+ * Get the name of the agency a site belongs to. Site names are conventionally
+ * of the form `Agency - Site Name`.
+ * @param {VersionistaSite} site
+ * @returns {String}
+ */
+function agencyForSite (site) {
+  return site.name.split('-')[0].trim();
+}
+
+module.exports = {versionRecords, agencyForSite};
@@ -3,8 +3,9 @@
 require('../polyfill');
 const {compareMany, ascend} = require('../tools');
 const crypto = require('crypto');
-// TODO: UUID assignment should happen independently of formatting
 const uuid = require('../uuid.js');
+const {defaultTypes, getDiffType} = require('../diff-types');
+const {versionRecords, agencyForSite} = require('./common');
 
 const emptyHash = crypto.createHash('sha256').digest('hex');
 
@@ -14,9 +15,17 @@ module.exports = formatCsv;
  * Converts scraped site data to CSV format.
  */
 function formatCsv (sites, options = {}) {
-  const versionType = options.versionType || 'versions';
+  return toCsvString(tableRows(sites, options));
+};
 
-  const rows = [];
+/**
+ * Get the rows of the CSV table (including the header row) as arrays of
+ * cells. Other tabular formats can use this to get the same data.
+ * @param {VersionistaSite[]} sites
+ * @param {Object} [options] Same as the options for the main formatter.
+ * @returns {Array[]}
+ */
+function tableRows (sites, options = {}) {
   const headerRow = headers.slice();
 
   if (options.includeDiffs) {
@@ -27,18 +36,28 @@ function formatCsv (sites, options = {}) {
     headerRow.push('Version File');
     headerRow.push('Version Hash');
   }
-
-  // TODO: this would be better as a flatmap
-  sites.forEach(site => {
-    site.pages && site.pages.forEach(page => {
-      page[versionType] && page[versionType].forEach(version => {
-        rows.push(rowForVersion(site, page, version, options));
-      });
-    });
+  if (options.normalized) {
+    headerRow.push('Raw Diff Hash');
+    headerRow.push('Raw Text Diff Hash');
+  }
+  if (options.extractText) {
+    headerRow.push('Text Length');
+    headerRow.push('Text Hash');
+    headerRow.push('Text File');
+  }
+  extraDiffTypes(options).forEach(diffType => {
+    headerRow.push(`${diffType.label} Length`);
+    headerRow.push(`${diffType.label} Hash`);
+    if (options.includeDiffs) {
+      headerRow.push(`${diffType.label} File`);
+    }
   });
 
-  return toCsvString([headerRow, ...(sortRows(rows))]);
-};
+  const rows = versionRecords(sites, options.versionType)
+    .map(({site, page, version}) => rowForVersion(site, page, version, options));
+
+  return [headerRow, ...(sortRows(rows, headerRow.indexOf('Text Hash')))];
+}
 
 const headers = [
   'Index',
@@ -63,23 +82,28 @@ function rowForVersion (site, page, version, options) {
   const diff = version.diff || {};
   const textDiff = version.textDiff || {};
 
+  // Deleted versions can't be compared with anything.
+  const initialText = version.deleted ? '[deleted version]' : '[initial version]';
+
   const row = [
     '',
-    uuid(),
+    // Data from before versions had UUIDs (e.g. old checkpoints) won't have one.
+    version.uuid || uuid.forVersion(version.siteId, version.pageId, version.versionId),
     formatDate(new Date(), true),
     agencyForSite(site),
     site.name,
     page.title,
     page.url,
     page.versionistaUrl,
-    version.diffWithPreviousSafeUrl || version.diffWithPreviousUrl || '[initial version]',
-    version.diffWithFirstSafeUrl || version.diffWithFirstUrl || '[initial version]',
-    formatDate(version.diffWithPreviousSafeDate || version.diffWithPreviousDate) || '[initial version]',
-    formatDate(version.diffWithFirstSafeDate || version.diffWithFirstDate) || '[initial version]',
+    version.diffWithPreviousSafeUrl || version.diffWithPreviousUrl || initialText,
+    version.diffWithFirstSafeUrl || version.diffWithFirstUrl || initialText,
+    // There's no earlier capture to have found a deleted version's changes in.
+    version.deleted ? '' : formatDate(version.diffWithPreviousSafeDate || version.diffWithPreviousDate) || initialText,
+    formatDate(version.diffWithFirstSafeDate || version.diffWithFirstDate) || initialText,
     diff.length,
-    diff.hash !== emptyHash ? diff.hash : '',
+    formatHash(groupingHash(diff)),
     textDiff.length,
-    textDiff.hash !== emptyHash ? textDiff.hash : ''
+    formatHash(groupingHash(textDiff))
   ];
 
   if (options.includeDiffs) {
@@ -97,9 +121,50 @@ function rowForVersion (site, page, version, options) {
     row.push(version.hash || '');
   }
 
+  if (options.normalized) {
+    row.push(formatHash(diff.hash));
+    row.push(formatHash(textDiff.hash));
+  }
+
+  if (options.extractText) {
+    const text = version.extractedText || {};
+    row.push(text.length);
+    row.push(text.hash || '');
+    row.push(text.path || '');
+  }
+
+  extraDiffTypes(options).forEach(diffType => {
+    const extraDiff = version[diffType.field] || {};
+    row.push(extraDiff.length);
+    row.push(formatHash(groupingHash(extraDiff)));
+    if (options.includeDiffs) {
+      row.push(extraDiff.path || '');
+    }
+  });
+
   return row;
 }
 
+// Diffs are grouped by their normalized hash if they have one (see
+// `--normalization-rules`), so changes that only differ in timestamps, tokens,
+// and the like sort together.
+function groupingHash (diff) {
+  return diff.normalizedHash || diff.hash;
+}
+
+// Hashes of empty diffs are left blank.
+function formatHash (hash) {
+  return hash && hash !== emptyHash ? hash : '';
+}
+
+// Diffs other than the standard source and text diffs get their own columns
+// at the end of each row.
+function extraDiffTypes (options) {
+  return (options.diffTypes || [])
+    .map(diffType => typeof diffType === 'string' ? getDiffType(diffType) : diffType)
+    .filter(diffType => !defaultTypes.includes(diffType.type));
+}
+
 function digits (number, length = 2, includeSign = false) {
   let sign = includeSign ? '+' : '';
   if (number < 0) {
@@ -152,10 +217,6 @@ function formatDate (date, includeTimezone) {
   }
 }
 
-function agencyForSite (site) {
-  return site.name.split('-')[0].trim();
-}
-
 // convert an array of rows to CSV data
 function toCsvString (rows) {
   return rows
@@ -176,25 +237,39 @@ function toCsvString (rows) {
     .join('\n');
 }
 
-// Standard comparator for sorting CSV output rows.
-const compareRows =  compareMany(
-  ascend(15),                   // text diff hash
-  ascend(13),                   // source diff hash
-  ascend(x => new Date(x[10]))  // capture time
-);
+// Standard comparator for sorting CSV output rows. Documents (like PDFs) that
+// had text extracted are also grouped by the hash of their text, since
+// Versionista often leaves their text diffs empty. (Rows without extracted
+// text come first.)
+function rowComparator (textHashColumn = -1) {
+  return compareMany(
+    ascend(x => x[textHashColumn] || ''),  // text hash
+    ascend(15),                            // text diff hash
+    ascend(13),                            // source diff hash
+    ascend(x => new Date(x[10]))           // capture time
+  );
+}
 
 function updateIndexColumn (value, index) {
   value[0] = index + 1;
   return value;
 }
 
-function sortRows (rows) {
+/**
+ * Sort rows of the CSV table and number them.
+ * @param {Array[]} rows
+ * @param {Number} [textHashColumn] Index of the 'Text Hash' column, if any
+ * @returns {Array[]}
+ */
+function sortRows (rows, textHashColumn = -1) {
   return rows
-    .sort(compareRows)
+    .sort(rowComparator(textHashColumn))
     .map(updateIndexColumn);
 }
 
+formatCsv.extension = 'csv';
 formatCsv.headers = headers;
+formatCsv.tableRows = tableRows;
 formatCsv.formatDate = formatDate;
 formatCsv.toCsvString = toCsvString;
 formatCsv.sortRows = sortRows;
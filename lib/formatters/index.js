@@ -0,0 +1,90 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * A formatter converts scraped data to some output format. It is a function
+ * that takes a list of sites (each with `pages`, which each have `versions`)
+ * and an options object, and returns a string:
+ *
+ *     formatter(sites, {
+ *       account,         // Name of the Versionista account
+ *       includeDiffs,    // Whether diffs were saved to disk
+ *       includeContent,  // Whether version content was saved to disk
+ *       diffTypes,       // The `DiffType`s that were captured
+ *       versionType      // Which property of each page to format versions
+ *                        // from: `versions` (default), `errorVersions`,
+ *                        // or `deletedVersions`
+ *     }) => String
+ *
+ * It may also have these properties:
+ * - `extension` {String} File extension for output, e.g. `csv`. [default: txt]
+ * - `createStream` {(options) => stream.Transform} Create a stream that takes
+ *   `VersionistaVersionRecord` objects and outputs formatted text. If present,
+ *   versions are written as they are scraped instead of all at the end.
+ *
+ * `versionRecords()` and `agencyForSite()` in `./common` are available to
+ * help with walking through the data.
+ * @typedef {Function} Formatter
+ */
+
+const builtIns = {
+  csv: './csv.js',
+  json: './json.js',
+  'json-stream': './json-stream.js',
+  markdown: './markdown.js',
+  tsv: './tsv.js'
+};
+
+/**
+ * Get a formatter by name. If the name looks like a path (i.e. it starts with
+ * `.` or `/`), the formatter is loaded from that module instead, relative to
+ * the current working directory.
+ * @param {String} name
+ * @returns {Formatter}
+ */
+function getFormatter (name) {
+  let formatter;
+  if (builtIns.hasOwnProperty(name)) {
+    formatter = require(builtIns[name]);
+  }
+  else if (/^(\.|\/)/.test(name)) {
+    const modulePath = path.resolve(name);
+    try {
+      formatter = require(modulePath);
+    }
+    catch (error) {
+      const loadError = new Error(`Could not load formatter from '${modulePath}': ${error.message}`);
+      loadError.code = 'VERSIONISTA:INVALID_FORMATTER';
+      throw loadError;
+    }
+  }
+  else {
+    const error = new Error(`Unknown format: '${name}' (must be one of ${Object.keys(builtIns).join(', ')} or the path to a module)`);
+    error.code = 'VERSIONISTA:INVALID_FORMATTER';
+    throw error;
+  }
+
+  if (typeof formatter !== 'function') {
+    const error = new Error(`Formatter '${name}' is not a function`);
+    error.code = 'VERSIONISTA:INVALID_FORMATTER';
+    throw error;
+  }
+
+  return formatter;
+}
+
+/**
+ * Get the file extension (without a leading `.`) for a formatter's output.
+ * @param {Formatter} formatter
+ * @returns {String}
+ */
+function extensionFor (formatter) {
+  return formatter.extension || 'txt';
+}
+
+module.exports = {
+  builtIns: Object.keys(builtIns),
+  getFormatter,
+  extensionFor
+};
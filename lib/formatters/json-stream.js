@@ -1,39 +1,46 @@
 'use strict';
 
-// TODO: UUID assignment should happen independently of formatting
-const uuid = require('../uuid.js');
+const stream = require('stream');
+const {versionRecords, agencyForSite} = require('./common');
 
 /**
  * Converts scraped site data to JSON Stream format.
  * Each line is an independent JSON object representing a version.
  */
 module.exports = function formatJsonStream (sites, options = {}) {
-  const versionType = options.versionType || 'versions';
-
-  const rows = [];
+  return versionRecords(sites, options.versionType)
+    .map(({site, page, version}) => formatVersion(site, page, version, options))
+    .join('\n');
+}
 
-  // TODO: this would be better as a flatmap
-  sites.forEach(site => {
-    site.pages && site.pages.forEach(page => {
-      page[versionType] && page[versionType].forEach(version => {
-        const formatted = Object.assign({
-          account: options.account,
-          siteName: site.name,
-          agency: agencyForSite(site),
-          versionistaSiteUrl: site.url,
-          versionistaPageUrl: page.versionistaUrl,
-          pageUrl: page.url,
-          pageTitle: page.title
-        }, version);
+module.exports.extension = 'json';
 
-        rows.push(formatted);
-      });
-    });
+/**
+ * Create a transform stream that converts `VersionistaVersionRecord` objects
+ * (`{site, page, version}`) to JSON Stream format as they arrive. Unlike the
+ * main formatter, every line (including the last) ends with a newline.
+ * @param {Object} [options] Same as the options for the main formatter.
+ * @returns {stream.Transform}
+ */
+module.exports.createStream = function (options = {}) {
+  return new stream.Transform({
+    writableObjectMode: true,
+    transform ({site, page, version}, encoding, callback) {
+      callback(null, formatVersion(site, page, version, options) + '\n');
+    }
   });
+};
 
-  return rows.map(row => JSON.stringify(row)).join('\n');
-}
+function formatVersion (site, page, version, options) {
+  const formatted = Object.assign({
+    account: options.account,
+    siteName: site.name,
+    agency: agencyForSite(site),
+    versionistaSiteUrl: site.url,
+    versionistaPageUrl: page.versionistaUrl,
+    pageUrl: page.url,
+    pageTitle: page.title
+  }, version);
 
-function agencyForSite (site) {
-  return site.name.split('-')[0].trim();
+  return JSON.stringify(formatted);
 }
@@ -1,8 +1,5 @@
 'use strict';
 
-// TODO: UUID assignment should happen independently of formatting
-const uuid = require('../uuid.js');
-
 /**
  * Converts scraped site data to JSON format.
  */
@@ -12,3 +9,5 @@ module.exports = function formatJson (sites, options = {}) {
   }, site));
   return JSON.stringify(formatted);
 }
+
+module.exports.extension = 'json';
@@ -0,0 +1,80 @@
+'use strict';
+
+const {formatDate} = require('./csv');
+const {versionRecords, agencyForSite} = require('./common');
+
+/**
+ * Converts scraped site data to a human-readable Markdown summary, with a
+ * table of changed pages for each site. Unlike the other formats, this does
+ * not list every version; it's meant for e-mails, issues, and the like.
+ */
+module.exports = function formatMarkdown (sites, options = {}) {
+  const records = versionRecords(sites, options.versionType);
+  const title = options.account
+    ? `# Versionista Changes: ${options.account}`
+    : '# Versionista Changes';
+
+  const sections = sites
+    .map(site => summarizeSite(site, records.filter(record => record.site === site)))
+    .filter(section => !!section);
+
+  const pageCount = new Set(records.map(record => record.page)).size;
+  const summary = `${records.length} ${plural(records.length, 'version')} of ${pageCount} ${plural(pageCount, 'page')} across ${sections.length} ${plural(sections.length, 'site')}.`;
+
+  return [title, summary, ...sections].join('\n\n') + '\n';
+};
+
+module.exports.extension = 'md';
+
+function summarizeSite (site, records) {
+  if (!records.length) {
+    return null;
+  }
+
+  const pages = [];
+  records.forEach(({page, version}) => {
+    let entry = pages.find(entry => entry.page === page);
+    if (!entry) {
+      entry = {page, versions: []};
+      pages.push(entry);
+    }
+    entry.versions.push(version);
+  });
+
+  const rows = pages.map(({page, versions}) => {
+    const latest = versions.reduce((latest, version) =>
+      (version.date || 0) > (latest.date || 0) ? version : latest);
+    const diffUrl = latest.diffWithPreviousSafeUrl || latest.diffWithPreviousUrl;
+    return [
+      link(page.title || page.url, page.url),
+      versions.length,
+      formatDate(latest.date) || '—',
+      diffUrl ? link('Diff', diffUrl) : link('Page', page.versionistaUrl)
+    ];
+  });
+
+  return [
+    `## ${escape(site.name)}`,
+    '',
+    `Agency: ${escape(agencyForSite(site))}`,
+    '',
+    '| Page | Versions | Latest Version | Latest Change |',
+    '| --- | ---: | --- | --- |',
+    ...rows.map(row => `| ${row.join(' | ')} |`)
+  ].join('\n');
+}
+
+function link (text, url) {
+  return `[${escape(text)}](${url})`;
+}
+
+// Escape characters that would break the table or be read as formatting.
+function escape (text) {
+  return String(text)
+    .replace(/[\\`*_[\]|<>]/g, '\\$&')
+    .replace(/[\r\n]+/g, ' ');
+}
+
+function plural (count, word) {
+  return count === 1 ? word : `${word}s`;
+}
@@ -0,0 +1,18 @@
+'use strict';
+
+const formatCsv = require('./csv');
+
+/**
+ * Converts scraped site data to tab-separated values. The columns are the same
+ * as CSV output, but there is no quoting; tabs and line breaks in values are
+ * replaced with spaces.
+ */
+module.exports = function formatTsv (sites, options = {}) {
+  return formatCsv.tableRows(sites, options)
+    .map(row => row
+      .map(cell => cell == null ? '' : cell.toString().replace(/[\t\r\n]+/g, ' '))
+      .join('\t'))
+    .join('\n');
+};
+
+module.exports.extension = 'tsv';
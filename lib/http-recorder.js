@@ -0,0 +1,292 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const mime = require('mime-types');
+const path = require('path');
+const url = require('url');
+
+const modes = ['record', 'replay', 'cache'];
+
+// Never write session cookies to disk.
+const omittedHeaders = ['set-cookie'];
+
+/**
+ * @typedef {Object} RecordedResponse
+ * @property {Number} [statusCode]
+ * @property {Object} [headers]
+ * @property {String} [url] Final URL of the response, after redirects
+ * @property {Object[]} [redirects] Redirects followed on the way to `url`, as
+ *           `{statusCode, redirectUri}` objects
+ * @property {String} [bodyFile] Name of the file holding the response body
+ * @property {Object} [error] If the request failed without a response, the
+ *           error's `code` and `message`
+ */
+
+/**
+ * Records HTTP responses to a directory and plays them back later, so that
+ * requests can be repeated offline and produce exactly the same results.
+ *
+ * Every distinct request (by method, URL, query, and body) gets a JSON file,
+ * named by a hash of the request, that lists each response it received in
+ * order. Response bodies are saved byte-for-byte in separate files alongside
+ * it. Form data is not part of the request's identity, so login credentials
+ * are never written to disk and are not needed for replay.
+ *
+ * Modes:
+ * - `record` makes real requests and saves every response. The first time a
+ *   request is made, anything previously recorded for it is replaced.
+ * - `replay` never makes real requests. If the same request was made several
+ *   times while recording (e.g. because it was retried), it gets the recorded
+ *   responses in order, and then the last one over and over.
+ * - `cache` replays the last recorded response if there is one, and otherwise
+ *   makes a real request and records it. Requests that fail without a
+ *   response are not cached, so they are tried again the next time.
+ */
+class HttpRecorder {
+  /**
+   * @param {String} directory
+   * @param {String} [mode='record'] `record`, `replay`, or `cache`
+   */
+  constructor (directory, mode = 'record') {
+    if (!modes.includes(mode)) {
+      throw new Error(`Unknown recording mode: '${mode}' (must be one of ${modes.join(', ')})`);
+    }
+
+    this.directory = directory;
+    this.mode = mode;
+    // Recordings (or promises for them), keyed by request, that have been
+    // loaded or written.
+    this._recordings = new Map();
+    // Requests that have been recorded by this recorder (as opposed to ones
+    // that were already in the directory).
+    this._recorded = new Set();
+    // How many times each request has been replayed.
+    this._replayCounts = new Map();
+    // The latest write for each request, so writes happen in order.
+    this._writes = new Map();
+  }
+
+  /**
+   * Whether requests are answered without using the network.
+   * @type {Boolean}
+   */
+  get offline () {
+    return this.mode === 'replay';
+  }
+
+  /**
+   * Wrap a function that makes HTTP requests, like the `request` module, so
+   * that it records or replays responses.
+   * @param {Function} send A function with the signature
+   *        `send(options, callback)`
+   * @returns {Function}
+   */
+  wrap (send) {
+    return (options, callback) => {
+      const key = requestKey(options);
+      const sendAndRecord = () => {
+        send(options, (error, response) => {
+          if (error && this.mode === 'cache') {
+            return callback(error, response);
+          }
+          this._save(key, options, error, response)
+            .then(() => callback(error, response), callback);
+        });
+      };
+
+      if (this.mode === 'record') {
+        return sendAndRecord();
+      }
+
+      this._load(key, options)
+        .then(recorded => {
+          if (recorded) {
+            callback(recorded.error, recorded.response);
+          }
+          else if (this.mode === 'cache') {
+            sendAndRecord();
+          }
+          else {
+            const error = new Error(`No recorded response for ${describeRequest(options)} in '${this.directory}'`);
+            error.code = 'VERSIONISTA:NOT_RECORDED';
+            callback(error);
+          }
+        })
+        .catch(callback);
+    };
+  }
+
+  /**
+   * Delete everything in the recording directory.
+   * @returns {Promise}
+   */
+  clear () {
+    this._recordings.clear();
+    this._recorded.clear();
+    this._replayCounts.clear();
+    return fs.promises.readdir(this.directory)
+      .then(names => Promise.all(names.map(name =>
+        fs.promises.unlink(path.join(this.directory, name)))))
+      .then(() => fs.promises.rmdir(this.directory))
+      .catch(error => {
+        if (error.code !== 'ENOENT') throw error;
+      });
+  }
+
+  _save (key, options, error, response) {
+    const previous = this._writes.get(key) || Promise.resolve();
+    const write = previous.then(() => this._recordings.get(key)).then(recording => {
+      if (!recording || this.mode === 'record' && !this._recorded.has(key)) {
+        recording = {
+          method: requestMethod(options),
+          url: requestUrl(options),
+          responses: []
+        };
+      }
+      this._recorded.add(key);
+      this._recordings.set(key, recording);
+
+      const index = recording.responses.length;
+      const entry = {};
+      let writeBody = Promise.resolve();
+      if (error) {
+        entry.error = {code: error.code, message: error.message};
+      }
+      else {
+        const headers = Object.assign({}, response.headers);
+        omittedHeaders.forEach(name => delete headers[name]);
+        const extension = mime.extension(headers['content-type'] || '') || 'body';
+
+        Object.assign(entry, {
+          statusCode: response.statusCode,
+          headers,
+          url: response.request.uri.href,
+          redirects: (response.request._redirect && response.request._redirect.redirects) || [],
+          bodyFile: `${key}-${index}.${extension}`
+        });
+        writeBody = writeFile(
+          path.join(this.directory, entry.bodyFile),
+          serializeBody(response.body));
+      }
+      recording.responses.push(entry);
+
+      return writeBody.then(() => writeFile(
+        path.join(this.directory, `${key}.json`),
+        JSON.stringify(recording, null, 2)));
+    });
+
+    this._writes.set(key, write.catch(() => null));
+    return write;
+  }
+
+  _load (key, options) {
+    let recording = this._recordings.get(key);
+    if (!recording) {
+      recording = fs.promises.readFile(path.join(this.directory, `${key}.json`), 'utf8')
+        .then(JSON.parse)
+        .catch(error => {
+          if (error.code === 'ENOENT') return null;
+          throw error;
+        });
+      this._recordings.set(key, recording);
+    }
+
+    return Promise.resolve(recording).then(recording => {
+      if (!recording || !recording.responses.length) return null;
+
+      const responses = recording.responses;
+      let index = responses.length - 1;
+      if (this.mode === 'replay') {
+        const count = this._replayCounts.get(key) || 0;
+        this._replayCounts.set(key, count + 1);
+        index = Math.min(count, index);
+      }
+
+      const entry = responses[index];
+      // Recordings made in other modes can include failures.
+      if (entry.error && this.mode === 'cache') return null;
+      if (entry.error) {
+        const error = new Error(entry.error.message);
+        error.code = entry.error.code;
+        return {error};
+      }
+
+      return fs.promises.readFile(path.join(this.directory, entry.bodyFile))
+        .then(body => ({
+          error: null,
+          response: {
+            statusCode: entry.statusCode,
+            headers: entry.headers,
+            body: deserializeBody(body, options),
+            request: {
+              uri: url.parse(entry.url),
+              href: entry.url,
+              method: requestMethod(options),
+              _redirect: {redirects: entry.redirects}
+            }
+          }
+        }));
+    });
+  }
+}
+
+function requestMethod (options) {
+  return (options.method || 'GET').toUpperCase();
+}
+
+function requestUrl (options) {
+  const target = options.url || options.uri;
+  return (target.href || target).toString();
+}
+
+function describeRequest (options) {
+  return `${requestMethod(options)} ${requestUrl(options)}`;
+}
+
+/**
+ * Get a string that identifies a request. It is a hash, so it is safe to use
+ * as a file name.
+ * @param {Object} options Options for the `request` module
+ * @returns {String}
+ */
+function requestKey (options) {
+  const identity = JSON.stringify([
+    requestMethod(options),
+    requestUrl(options),
+    options.qs || null,
+    options.body || null
+  ]);
+  return crypto.createHash('sha256').update(identity).digest('hex').slice(0, 32);
+}
+
+function serializeBody (body) {
+  if (body == null) return '';
+  if (Buffer.isBuffer(body) || typeof body === 'string') return body;
+  // Already parsed JSON
+  return JSON.stringify(body);
+}
+
+// Turn a saved body back into what the `request` module would have produced
+// for these options.
+function deserializeBody (buffer, options) {
+  let body = options.encoding === null ? buffer : buffer.toString(options.encoding || 'utf8');
+  if (options.json && body.length) {
+    try {
+      body = JSON.parse(body);
+    }
+    catch (error) {
+      // Like `request`, leave bodies that aren't JSON alone.
+    }
+  }
+  return body;
+}
+
+function writeFile (filePath, content) {
+  return fs.promises.mkdir(path.dirname(filePath), {recursive: true})
+    .then(() => fs.promises.writeFile(filePath, content));
+}
+
+HttpRecorder.modes = modes;
+
+module.exports = HttpRecorder;
@@ -0,0 +1,54 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Create a `JSON.parse()` reviver that turns the values of the given keys back
+ * into dates. Values that are not valid dates are left as strings.
+ * @param {String[]} dateFields
+ * @returns {Function}
+ */
+function reviveDates (dateFields) {
+  return function (key, value) {
+    if (typeof value === 'string' && dateFields.includes(key)) {
+      const date = new Date(value);
+      return isNaN(date) ? value : date;
+    }
+    return value;
+  };
+}
+
+/**
+ * Read and parse a JSON file.
+ * @param {String} filePath
+ * @param {Object} [options]
+ * @param {String[]} [options.dateFields] Keys whose values should be parsed
+ *        as dates
+ * @returns {Promise<*>}
+ */
+function readJsonFile (filePath, {dateFields} = {}) {
+  const reviver = dateFields ? reviveDates(dateFields) : undefined;
+  return fs.promises.readFile(filePath, 'utf8')
+    .then(text => JSON.parse(text, reviver));
+}
+
+/**
+ * Write data to a file as JSON, creating its directory if needed. The data is
+ * written to a temporary file first and then moved into place, so an
+ * interrupted write can't destroy the previous contents of the file.
+ * @param {String} filePath
+ * @param {*} data
+ * @param {Object} [options]
+ * @param {Boolean} [options.pretty] Indent the JSON for readability
+ * @returns {Promise}
+ */
+function writeJsonFile (filePath, data, {pretty = false} = {}) {
+  const text = pretty ? JSON.stringify(data, null, 2) : JSON.stringify(data);
+  const temporaryPath = `${filePath}.tmp`;
+  return fs.promises.mkdir(path.dirname(filePath), {recursive: true})
+    .then(() => fs.promises.writeFile(temporaryPath, text, 'utf8'))
+    .then(() => fs.promises.rename(temporaryPath, filePath));
+}
+
+module.exports = {readJsonFile, writeJsonFile, reviveDates};
@@ -0,0 +1,110 @@
+'use strict';
+
+const jsdiff = require('diff');
+const jsdom = require('jsdom');
+
+// Diff types the local engine can make, in Versionista's terms.
+const localDiffTypes = ['only', 'text_only'];
+
+// Elements whose contents are not visible text.
+const invisibleElements = 'script, style, noscript, template';
+
+/**
+ * Check whether content of a given type can be diffed locally. Only text
+ * formats (HTML, plain text, XML, JSON, etc.) can be.
+ * @param {String} contentType
+ * @returns {Boolean}
+ */
+function canDiff (contentType) {
+  return /^text\/|json|xml/.test(contentType || '');
+}
+
+/**
+ * Get the visible text of an HTML document, one line per line of text (with
+ * runs of whitespace collapsed and blank lines removed), which is what
+ * Versionista's "text" diffs compare.
+ * @param {String} html
+ * @returns {String}
+ */
+function extractText (html) {
+  const {document} = new jsdom.JSDOM(html).window;
+  document.querySelectorAll(invisibleElements).forEach(node => node.remove());
+
+  // Block-level elements don't add line breaks to `textContent`, so add them.
+  document.querySelectorAll('address, article, aside, blockquote, br, dd, div, dl, dt, fieldset, figcaption, figure, footer, form, h1, h2, h3, h4, h5, h6, header, hr, li, main, nav, ol, p, pre, section, table, td, th, tr, ul')
+    .forEach(node => node.after(document.createTextNode('\n')));
+
+  const root = document.body || document.documentElement;
+  return (root ? root.textContent : '')
+    .split('\n')
+    .map(line => line.replace(/\s+/g, ' ').trim())
+    .filter(line => line)
+    .join('\n');
+}
+
+function escapeHtml (text) {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Format the changed lines between two texts as an HTML page. Like
+ * Versionista's "changes only" views, unchanged lines are left out.
+ * @param {String} before
+ * @param {String} after
+ * @param {String} title
+ * @returns {String}
+ */
+function formatChanges (before, after, title) {
+  const lines = [];
+  jsdiff.diffLines(before, after).forEach(part => {
+    if (!part.added && !part.removed) return;
+
+    const tag = part.added ? 'ins' : 'del';
+    part.value.replace(/\n$/, '').split('\n').forEach(line => {
+      lines.push(`<${tag}>${escapeHtml(line)}</${tag}>`);
+    });
+  });
+
+  return [
+    '<!doctype html>',
+    '<html>',
+    `<head><meta charset="utf-8"><title>${title}</title></head>`,
+    '<body>',
+    '<pre>',
+    ...lines,
+    '</pre>',
+    '</body>',
+    '</html>',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Make a diff between two versions' content without Versionista's diff host.
+ * `only` diffs compare the source (like Versionista's "source: changes only"
+ * view) and `text_only` diffs compare the visible text (like "text: changes
+ * only"). Diffs are HTML pages listing removed lines in `<del>` elements and
+ * added lines in `<ins>` elements.
+ * @param {String} before Content of the earlier version ('' if there is none)
+ * @param {String} after Content of the later version
+ * @param {String} [diffType='only'] `only` or `text_only`
+ * @returns {String}
+ */
+function localDiff (before, after, diffType = 'only') {
+  if (diffType === 'only') {
+    return formatChanges(before, after, 'Source changes');
+  }
+  else if (diffType === 'text_only') {
+    return formatChanges(extractText(before), extractText(after), 'Text changes');
+  }
+  throw new Error(`Local diffs can only be '${localDiffTypes.join("' or '")}', not '${diffType}'`);
+}
+
+module.exports = localDiff;
+module.exports.localDiffTypes = localDiffTypes;
+module.exports.canDiff = canDiff;
+module.exports.extractText = extractText;
@@ -0,0 +1,319 @@
+'use strict';
+
+/**
+ * @typedef {Object} TimingSummary
+ * @property {Number} total
+ * @property {Number} p50
+ * @property {Number} p90
+ * @property {Number} p99
+ * @property {Number} max
+ */
+
+/**
+ * @typedef {Object} RequestSummary
+ * @property {Number} requests
+ * @property {Number} bytes
+ * @property {Number} retries
+ * @property {Number} errors
+ * @property {TimingSummary} duration
+ * @property {TimingSummary} queueWait
+ */
+
+/**
+ * @typedef {Object} RunReport
+ * @property {String} [account]
+ * @property {Date} startTime
+ * @property {Date} endTime
+ * @property {RequestSummary} totals
+ * @property {Number} sleepTime Milliseconds spent deliberately paused
+ * @property {Object<String, RequestSummary>} byHost
+ * @property {Object<String, RequestSummary>} byKind
+ * @property {Object<String, Number>} errors Count of errors by category,
+ *           e.g. `http_5xx`, `throttled`, or a network error code.
+ * @property {Object<String, Number>} counts Counts of things processed, e.g.
+ *           `pages` and `versions`.
+ */
+
+/**
+ * Collects metrics about requests made by HTTP clients (see `client.js`) and
+ * summarizes them in a report. Requests are tallied as they happen rather
+ * than kept, so this uses the same amount of memory however long a run is.
+ */
+class RunMetrics {
+  /**
+   * @param {Object} [info] Additional properties to include in reports, e.g.
+   *        `{account: 'x'}`.
+   */
+  constructor (info = {}) {
+    this.info = info;
+    this.startTime = new Date();
+    this.totals = new RequestTally();
+    this.byHost = new Map();
+    this.byKind = new Map();
+    this.errors = {};
+    this.sleepTime = 0;
+    this.counts = {};
+  }
+
+  /**
+   * Start recording events from a client.
+   * @param {Function} client A client created with `createClient()`
+   * @returns {RunMetrics} this
+   */
+  watch (client) {
+    client.events.on('request', event => this.recordRequest(event));
+    client.events.on('sleep', event => this.sleepTime += event.duration);
+    return this;
+  }
+
+  /**
+   * @param {RequestEvent} event
+   */
+  recordRequest (event) {
+    this.totals.add(event);
+    tallyFor(this.byHost, event.host).add(event);
+    tallyFor(this.byKind, event.kind).add(event);
+
+    const category = errorCategory(event);
+    if (category) {
+      this.errors[category] = (this.errors[category] || 0) + 1;
+    }
+  }
+
+  /**
+   * Set a count of something processed.
+   * @param {String} name
+   * @param {Number} count
+   */
+  setCount (name, count) {
+    this.counts[name] = count;
+  }
+
+  /**
+   * @returns {RunReport}
+   */
+  report () {
+    return Object.assign({}, this.info, {
+      startTime: this.startTime,
+      endTime: new Date(),
+      totals: this.totals.summary(),
+      sleepTime: this.sleepTime,
+      byHost: summarizeTallies(this.byHost),
+      byKind: summarizeTallies(this.byKind),
+      errors: Object.assign({}, this.errors),
+      counts: Object.assign({}, this.counts)
+    });
+  }
+}
+
+/**
+ * Get the category of error for a request event, or null if it succeeded.
+ * @param {RequestEvent} event
+ * @returns {String}
+ */
+function errorCategory (event) {
+  if (event.error) return event.error;
+  if (event.status === 429) return 'throttled';
+  if (event.status >= 500) return 'http_5xx';
+  if (event.status >= 400) return 'http_4xx';
+  return null;
+}
+
+/**
+ * Running totals for a group of requests.
+ */
+class RequestTally {
+  constructor () {
+    this.requests = 0;
+    this.bytes = 0;
+    this.retries = 0;
+    this.errors = 0;
+    this.duration = new Timings();
+    this.queueWait = new Timings();
+  }
+
+  /**
+   * @param {RequestEvent} event
+   */
+  add (event) {
+    this.requests++;
+    this.bytes += event.bytes || 0;
+    if (event.retries > 0) this.retries++;
+    if (errorCategory(event)) this.errors++;
+    this.duration.add(event.duration);
+    this.queueWait.add(event.queueWait);
+  }
+
+  /**
+   * @returns {RequestSummary}
+   */
+  summary () {
+    return {
+      requests: this.requests,
+      bytes: this.bytes,
+      retries: this.retries,
+      errors: this.errors,
+      duration: this.duration.summary(),
+      queueWait: this.queueWait.summary()
+    };
+  }
+}
+
+/**
+ * A histogram of timings. Values are grouped by their first two significant
+ * digits (so percentiles are within a few percent of the real ones), which
+ * keeps the number of buckets small no matter how many values there are.
+ */
+class Timings {
+  constructor () {
+    this.total = 0;
+    this.max = 0;
+    this.count = 0;
+    this.buckets = new Map();
+  }
+
+  /**
+   * @param {Number} value
+   */
+  add (value) {
+    value = value || 0;
+    this.total += value;
+    this.max = Math.max(this.max, value);
+    this.count++;
+
+    const bucket = roundToBucket(value);
+    this.buckets.set(bucket, (this.buckets.get(bucket) || 0) + 1);
+  }
+
+  /**
+   * @returns {TimingSummary}
+   */
+  summary () {
+    return {
+      total: this.total,
+      p50: this.percentile(0.5),
+      p90: this.percentile(0.9),
+      p99: this.percentile(0.99),
+      max: this.max
+    };
+  }
+
+  // Nearest-rank percentile.
+  percentile (fraction) {
+    if (!this.count) return 0;
+
+    const rank = Math.max(1, Math.ceil(fraction * this.count));
+    const sorted = Array.from(this.buckets.keys()).sort((a, b) => a - b);
+    let seen = 0;
+    for (const bucket of sorted) {
+      seen += this.buckets.get(bucket);
+      if (seen >= rank) return Math.min(bucket, this.max);
+    }
+    return this.max;
+  }
+}
+
+function roundToBucket (value) {
+  return value > 0 ? Number(value.toPrecision(2)) : 0;
+}
+
+function tallyFor (tallies, key) {
+  key = key || 'unknown';
+  if (!tallies.has(key)) {
+    tallies.set(key, new RequestTally());
+  }
+  return tallies.get(key);
+}
+
+function summarizeTallies (tallies) {
+  const result = {};
+  Array.from(tallies.keys()).sort().forEach(key => {
+    result[key] = tallies.get(key).summary();
+  });
+  return result;
+}
+
+/**
+ * Format a run report in the Prometheus text exposition format, e.g. for the
+ * node_exporter textfile collector. Everything is a gauge describing the last
+ * run, since each run writes a new file.
+ *
+ * Several reports (e.g. one per account) can be combined in one file. Each
+ * report's `account`, if it has one, is added as a label.
+ * @param {RunReport|RunReport[]} reports
+ * @param {Object} [labels] Labels to add to every metric
+ * @returns {String}
+ */
+function toPrometheus (reports, labels = {}) {
+  reports = [].concat(reports);
+
+  const lines = [];
+  const metric = (name, type, help, getSamples) => {
+    lines.push(`# HELP versionista_scraper_${name} ${help}`);
+    lines.push(`# TYPE versionista_scraper_${name} ${type}`);
+    reports.forEach(report => {
+      const reportLabels = Object.assign({account: report.account}, labels);
+      getSamples(report).forEach(([sampleLabels, value, suffix = '']) => {
+        const allLabels = Object.assign({}, reportLabels, sampleLabels);
+        lines.push(`versionista_scraper_${name}${suffix}${formatLabels(allLabels)} ${value}`);
+      });
+    });
+  };
+
+  const byKind = (report, field) => Object.entries(report.byKind)
+    .map(([kind, summary]) => [{kind}, summary[field]]);
+
+  metric('requests', 'gauge', 'Requests made in the last run, including retries.',
+    report => byKind(report, 'requests'));
+  metric('request_errors', 'gauge', 'Requests that failed in the last run.',
+    report => byKind(report, 'errors'));
+  metric('response_bytes', 'gauge', 'Bytes received in the last run.',
+    report => byKind(report, 'bytes'));
+  metric('request_duration_seconds', 'summary', 'Time waiting on responses in the last run.',
+    report => flattenTimings(report, 'duration'));
+  metric('queue_wait_seconds', 'summary', 'Time requests waited to be sent in the last run.',
+    report => flattenTimings(report, 'queueWait'));
+  metric('sleep_seconds', 'gauge', 'Time spent deliberately paused in the last run.',
+    report => [[{}, report.sleepTime / 1000]]);
+  metric('errors', 'gauge', 'Errors in the last run by category.',
+    report => Object.entries(report.errors).map(([category, count]) => [{category}, count]));
+  metric('processed', 'gauge', 'Items processed in the last run.',
+    report => Object.entries(report.counts).map(([item, count]) => [{item}, count]));
+  metric('run_duration_seconds', 'gauge', 'How long the last run took.',
+    report => [[{}, (report.endTime - report.startTime) / 1000]]);
+  metric('last_run_timestamp_seconds', 'gauge', 'When the last run finished.',
+    report => [[{}, Math.floor(report.endTime / 1000)]]);
+
+  return lines.join('\n') + '\n';
+}
+
+function flattenTimings (report, field) {
+  const samples = [];
+  Object.entries(report.byKind).forEach(([kind, summary]) => {
+    const timing = summary[field];
+    [['0.5', 'p50'], ['0.9', 'p90'], ['0.99', 'p99']].forEach(([quantile, key]) => {
+      samples.push([{kind, quantile}, timing[key] / 1000]);
+    });
+    samples.push([{kind}, timing.total / 1000, '_sum']);
+    samples.push([{kind}, summary.requests, '_count']);
+  });
+  return samples;
+}
+
+function formatLabels (labels) {
+  const entries = Object.entries(labels).filter(([name, value]) => value != null);
+  if (!entries.length) return '';
+
+  const formatted = entries.map(([name, value]) => {
+    const escaped = value.toString()
+      .replace(/\\/g, '\\\\')
+      .replace(/\n/g, '\\n')
+      .replace(/"/g, '\\"');
+    return `${name}="${escaped}"`;
+  });
+  return `{${formatted.join(',')}}`;
+}
+
+RunMetrics.toPrometheus = toPrometheus;
+
+module.exports = RunMetrics;
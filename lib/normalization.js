@@ -0,0 +1,166 @@
+'use strict';
+
+const fs = require('fs');
+const jsdom = require('jsdom');
+
+/**
+ * @typedef {Object} NormalizationRule
+ * A rule has either a `pattern` or a `selector`.
+ * @property {String} [pattern] Regular expression to remove (or replace)
+ * @property {String} [flags='g'] Flags for `pattern`
+ * @property {String} [replace=''] Text to replace matches of `pattern` with
+ * @property {String} [selector] CSS selector for elements to remove. These
+ *           only apply to HTML.
+ */
+
+/**
+ * Normalizes content before it is hashed, so that pages with parts that change
+ * on every capture (timestamps, CSRF tokens, session IDs, analytics snippets,
+ * etc.) still get the same hash when nothing meaningful has changed.
+ *
+ * Rules are loaded from a JSON file like:
+ *
+ *     {
+ *       "rules": [
+ *         {"pattern": "name=\"csrf_token\" value=\"[^\"]*\""},
+ *         {"selector": "script[src*='google-analytics.com']"}
+ *       ],
+ *       "sites": {
+ *         "74273": {
+ *           "rules": [{"pattern": "Last updated: [^<]*"}]
+ *         }
+ *       }
+ *     }
+ *
+ * Rules under `sites` are keyed by Versionista site ID and are applied after
+ * the top-level rules, unless the site sets `"replaceDefaults": true`, in
+ * which case only the site's own rules are used.
+ */
+class Normalizer {
+  /**
+   * Load rules from a JSON file. This is synchronous so that scripts can
+   * check the rules before they start scraping.
+   * @param {String} filePath
+   * @returns {Normalizer}
+   */
+  static load (filePath) {
+    try {
+      return new Normalizer(JSON.parse(fs.readFileSync(filePath, 'utf8')));
+    }
+    catch (error) {
+      error.message = `Could not load normalization rules from '${filePath}': ${error.message}`;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {Object} config
+   * @param {NormalizationRule[]} [config.rules]
+   * @param {Object} [config.sites] Rules for specific sites, keyed by site ID
+   */
+  constructor (config = {}) {
+    this.rules = compileRules(config.rules, 'rules');
+    this.sites = new Map();
+    Object.entries(config.sites || {}).forEach(([siteId, site]) => {
+      const siteRules = compileRules(site.rules, `sites.${siteId}.rules`);
+      this.sites.set(String(siteId), site.replaceDefaults
+        ? siteRules
+        : this.rules.concat(siteRules));
+    });
+  }
+
+  /**
+   * Get the rules that apply to a site.
+   * @param {String} [siteId]
+   * @returns {Array}
+   */
+  rulesFor (siteId) {
+    return this.sites.get(String(siteId)) || this.rules;
+  }
+
+  /**
+   * Apply the rules for a site to some content.
+   * @param {String|Buffer} content
+   * @param {String} contentType
+   * @param {String} [siteId]
+   * @returns {String}
+   */
+  normalize (content, contentType, siteId) {
+    const rules = this.rulesFor(siteId);
+    let result = content.toString();
+
+    const selectors = rules.filter(rule => rule.selector);
+    if (selectors.length && /html/.test(contentType || '')) {
+      result = removeElements(result, selectors.map(rule => rule.selector));
+    }
+
+    rules.filter(rule => rule.pattern).forEach(rule => {
+      result = result.replace(rule.pattern, rule.replace);
+    });
+
+    return result;
+  }
+}
+
+function compileRules (rules = [], name) {
+  if (!Array.isArray(rules)) {
+    throw new TypeError(`'${name}' must be a list of rules`);
+  }
+
+  return rules.map((rule, index) => {
+    if (rule.selector && !rule.pattern) {
+      if (!isValidSelector(rule.selector)) {
+        throw new TypeError(`Rule ${index} in '${name}' has an invalid selector: '${rule.selector}'`);
+      }
+      return {selector: rule.selector};
+    }
+    if (rule.pattern && !rule.selector) {
+      return {
+        pattern: new RegExp(rule.pattern, rule.flags == null ? 'g' : rule.flags),
+        replace: rule.replace || ''
+      };
+    }
+    throw new TypeError(`Rule ${index} in '${name}' must have either a 'pattern' or a 'selector'`);
+  });
+}
+
+let selectorDocument = null;
+
+/**
+ * Check whether a CSS selector can be parsed. An invalid selector would
+ * otherwise only fail when it's first used, and would take all the other
+ * selectors in the same rules down with it.
+ * @param {String} selector
+ * @returns {Boolean}
+ */
+function isValidSelector (selector) {
+  if (!selectorDocument) {
+    selectorDocument = new jsdom.JSDOM('').window.document;
+  }
+  try {
+    selectorDocument.querySelector(selector);
+    return true;
+  }
+  catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Remove elements matching any of the given selectors from an HTML document.
+ * If nothing matches, the HTML is returned as-is (parsing and re-serializing
+ * would otherwise change the markup).
+ * @param {String} html
+ * @param {String[]} selectors
+ * @returns {String}
+ */
+function removeElements (html, selectors) {
+  const dom = new jsdom.JSDOM(html);
+  const elements = dom.window.document.querySelectorAll(selectors.join(', '));
+  if (!elements.length) return html;
+
+  elements.forEach(element => element.remove());
+  return dom.serialize();
+}
+
+module.exports = Normalizer;
@@ -0,0 +1,228 @@
+'use strict';
+
+const {SchemaMismatchError} = require('./errors');
+
+// Only keep this many examples of where each kind of drift was seen.
+const MAXIMUM_EXAMPLES = 5;
+
+/**
+ * @typedef {Object} SchemaIssue
+ * @property {String} field Name of the property with the issue
+ * @property {String} kind One of:
+ *           - `missing` (a required property is not present)
+ *           - `type` (a property is not of the expected type)
+ *           - `unexpected` (a property is not in the schema at all)
+ * @property {String} [expected] The expected type(s), e.g. `string|number`
+ * @property {String} actual The type of the value that was present
+ */
+
+/**
+ * @typedef {Object} SchemaDrift
+ * @property {String} schema Name of the schema
+ * @property {String} field
+ * @property {String} kind See `SchemaIssue`
+ * @property {String} [expected]
+ * @property {String[]} actual Every type seen for the property
+ * @property {Number} count Number of objects the drift was seen in
+ * @property {String[]} examples Where the drift was seen (usually URLs)
+ */
+
+/**
+ * Watches objects from Versionista's undocumented API for changes from the
+ * schemas we expect. Instead of failing at the first mismatch, it collects
+ * every mismatch and every property we didn't know about so they can be
+ * reported on together at the end of a run. Objects that are missing required
+ * properties still cause an error, since we can't do anything useful with
+ * them.
+ */
+class SchemaMonitor {
+  constructor () {
+    this._drift = new Map();
+    this.checkedCount = 0;
+  }
+
+  /**
+   * Check an object against a schema, recording any drift. Throws if a
+   * required property is missing.
+   * @param {String} name Name of the schema, e.g. `version`
+   * @param {Object} schema See `checkSchema()`
+   * @param {Object} object
+   * @param {String} [example] A description of where the object came from,
+   *        like the URL it was loaded from.
+   * @param {String} [message] Message for the error if a required property is
+   *        missing. See `assertSchema()` in `versionista.js`.
+   * @returns {SchemaIssue[]}
+   */
+  check (name, schema, object, example, message = null) {
+    const issues = this.observe(name, schema, object, example);
+
+    const missing = issues.find(issue => issue.kind === 'missing');
+    if (missing) {
+      throw schemaError(missing, message);
+    }
+
+    return issues;
+  }
+
+  /**
+   * Check an object against a schema and record any drift, but never throw.
+   * This is for objects we don't depend on, where drift is only worth
+   * knowing about.
+   * @param {String} name Name of the schema, e.g. `site`
+   * @param {Object} schema See `checkSchema()`
+   * @param {Object} object
+   * @param {String} [example] Where the object came from
+   * @returns {SchemaIssue[]}
+   */
+  observe (name, schema, object, example) {
+    this.checkedCount++;
+    const issues = checkSchema(schema, object);
+    issues.forEach(issue => this._record(name, issue, example));
+    return issues;
+  }
+
+  /**
+   * Whether any drift has been seen.
+   * @type {Boolean}
+   */
+  get hasDrift () {
+    return this._drift.size > 0;
+  }
+
+  /**
+   * Get a report on all the drift that has been seen.
+   * @returns {{checkedCount: Number, drift: SchemaDrift[]}}
+   */
+  report () {
+    const drift = Array.from(this._drift.values())
+      .map(entry => Object.assign({}, entry, {actual: Array.from(entry.actual)}))
+      .sort((a, b) => b.count - a.count);
+
+    return {checkedCount: this.checkedCount, drift};
+  }
+
+  _record (name, issue, example) {
+    const key = `${name}:${issue.kind}:${issue.field}`;
+    let entry = this._drift.get(key);
+    if (!entry) {
+      entry = {
+        schema: name,
+        field: issue.field,
+        kind: issue.kind,
+        expected: issue.expected,
+        actual: new Set(),
+        count: 0,
+        examples: []
+      };
+      this._drift.set(key, entry);
+    }
+
+    entry.count++;
+    entry.actual.add(issue.actual);
+    if (example && entry.examples.length < MAXIMUM_EXAMPLES
+      && !entry.examples.includes(example)) {
+      entry.examples.push(example);
+    }
+  }
+}
+
+/**
+ * Find all the ways an object does not match a schema.
+ *
+ * A schema is an object whose keys are the names of properties and values are
+ * the type of the property. The type can be a string (checked with `typeof`,
+ * but can differentiate 'object' and 'array'). If the type ends with '?', it
+ * will only be checked if the property is present. If the type is null or
+ * undefined, then the presence of the property, but not its type, will be
+ * checked. Properties of the object that are not in the schema are reported
+ * as `unexpected`.
+ * @param {Object} schema An object mapping keys to types, e.g.
+ *        `{name: 'string', age: 'number'}`
+ * @param {any} object Object that is expected to implement the schema
+ * @returns {SchemaIssue[]}
+ */
+function checkSchema (schema, object) {
+  const keys = [
+    ...Object.getOwnPropertyNames(schema),
+    ...Object.getOwnPropertySymbols(schema)
+  ];
+  const issues = [];
+
+  keys.forEach(key => {
+    let type = schema[key];
+    let optional = false;
+    if ((typeof type === 'string')) {
+      if (type.endsWith('?')) {
+        optional = true;
+        type = type.slice(0, -1);
+      }
+      type = type.split('|').map(item => item.trim()).filter(item => !!item);
+    }
+
+    if (!(key in object)) {
+      if (!optional) {
+        issues.push({
+          field: key,
+          kind: 'missing',
+          expected: type ? type.join('|') : undefined,
+          actual: 'undefined'
+        });
+      }
+    }
+    else if (type && !isType(object[key], type)) {
+      issues.push({
+        field: key,
+        kind: 'type',
+        expected: type.join('|'),
+        actual: typeName(object[key])
+      });
+    }
+  });
+
+  Object.keys(object).forEach(key => {
+    if (!(key in schema)) {
+      issues.push({field: key, kind: 'unexpected', actual: typeName(object[key])});
+    }
+  });
+
+  return issues;
+}
+
+/**
+ * Create an error describing a schema issue.
+ * @param {SchemaIssue} issue
+ * @param {String} [message] If the message has the text '$ERROR', '$ERROR'
+ *        will be replaced with detailed information.
+ * @returns {SchemaMismatchError}
+ */
+function schemaError (issue, message = null) {
+  const detail = issue.kind === 'missing'
+    ? `Object is missing property '${issue.field}'`
+    : `The '${issue.field}' property of object was not a ${issue.expected}`;
+  return new SchemaMismatchError(message ? message.replace('$ERROR', detail) : detail);
+}
+
+/**
+ * Check whether a value is of a given type. This can handle more types than
+ * 'typeof' can (it differentiates 'array' and 'object', for example).
+ * @param {any} value Value to check type of.
+ * @param {string} type Name of type to check that value is.
+ * @returns {boolean}
+ */
+function isType (value, type) {
+  if (Array.isArray(type)) return type.some(item => isType(value, item));
+  else if (type === 'array') return Array.isArray(value);
+  else if (type === 'object' && Array.isArray(value)) return false;
+  return typeof value === type;
+}
+
+function typeName (value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+SchemaMonitor.checkSchema = checkSchema;
+SchemaMonitor.schemaError = schemaError;
+
+module.exports = SchemaMonitor;
@@ -0,0 +1,199 @@
+'use strict';
+
+const fs = require('fs');
+const diffTypes = require('./diff-types');
+const {readJsonFile, writeJsonFile} = require('./json-file');
+
+/**
+ * @typedef {Object} ArchivedVersionRecord
+ * @property {String} [filePath] Path of the raw content as written in output
+ * @property {String} [fullPath] Absolute path of the raw content on disk
+ * @property {String} [hash]
+ * @property {Number} [length]
+ * @property {Object} [headers]
+ * @property {String} [contentType]
+ * @property {Object} [diff] Same as `VersionistaVersion.diff`
+ * @property {Object} [textDiff] Same as `VersionistaVersion.textDiff`
+ *
+ * Other types of diffs are stored in the same way, under the field names in
+ * `lib/diff-types.js`.
+ */
+
+/**
+ * @typedef {Object} RunRecord
+ * @property {Date} startTime When the run started
+ * @property {Date} endTime When the run finished
+ * @property {Date} [after] The `--after` date the run covered
+ * @property {Date} before The `--before` date the run covered (or the start
+ *           time if the run had no `--before` date)
+ */
+
+const versionFields = [
+  'filePath',
+  'fullPath',
+  'hash',
+  'normalizedHash',
+  'length',
+  'headers',
+  'contentType',
+  'extractedText'
+];
+
+const diffFields = diffTypes.map(diffType => diffType.field);
+
+/**
+ * A simple, file-backed record of versions that have already been archived
+ * and of the time window covered by the last completed run. Records are keyed
+ * by `siteId/pageId/versionId`.
+ */
+class StateStore {
+  /**
+   * Load a state store from disk. If the file does not exist yet, the store
+   * will be empty and the file will be created the first time it is saved.
+   * @param {String} filePath
+   * @returns {Promise<StateStore>}
+   */
+  static load (filePath) {
+    return readJsonFile(filePath)
+      .catch(error => {
+        if (error.code === 'ENOENT') return {};
+        error.message = `Could not load state from '${filePath}': ${error.message}`;
+        throw error;
+      })
+      .then(data => new StateStore(filePath, data));
+  }
+
+  /**
+   * Create a state store. You probably want `StateStore.load()` instead.
+   * @param {String} filePath Where to save the state
+   * @param {Object} [data] Previously saved state
+   */
+  constructor (filePath, data = {}) {
+    this.filePath = filePath;
+    this.versions = data.versions || {};
+    this.lastRun = data.lastRun ? parseRunRecord(data.lastRun) : null;
+  }
+
+  /**
+   * Get the archive record for a version, if there is one.
+   * @param {VersionistaVersion} version
+   * @returns {ArchivedVersionRecord}
+   */
+  getVersion (version) {
+    return this.versions[versionKey(version)];
+  }
+
+  /**
+   * Get the archive record for a version if its raw content was archived and
+   * is still present on disk.
+   * @param {VersionistaVersion} version
+   * @returns {Promise<ArchivedVersionRecord>}
+   */
+  getArchivedContent (version) {
+    const record = this.getVersion(version);
+    if (!record || !record.hash || !record.fullPath) {
+      return Promise.resolve(null);
+    }
+
+    return fs.promises.access(record.fullPath)
+      .then(() => record, () => null);
+  }
+
+  /**
+   * Get the record for a diff of a given type (e.g. `diff` or `textDiff`) that
+   * was previously archived for a version. The diff only counts if it was made
+   * from the same comparison URL. If `requireFile` is true, the diff also must
+   * have been saved to a file that is still present on disk.
+   * @param {VersionistaVersion} version
+   * @param {String} fieldName
+   * @param {String} url The comparison URL the diff should have come from
+   * @param {Boolean} [requireFile=false]
+   * @returns {Promise<Object>}
+   */
+  getArchivedDiff (version, fieldName, url, requireFile = false) {
+    const record = this.getVersion(version);
+    const diff = record && record[fieldName];
+    if (!diff || !diff.hash || diff.url !== url) {
+      return Promise.resolve(null);
+    }
+    if (!requireFile) {
+      return Promise.resolve(diff);
+    }
+    if (!diff.fullPath) {
+      return Promise.resolve(null);
+    }
+
+    return fs.promises.access(diff.fullPath)
+      .then(() => diff, () => null);
+  }
+
+  /**
+   * Record the archived content and diffs of a version. Information already
+   * recorded for the version is kept unless the version has newer data.
+   * @param {VersionistaVersion} version
+   * @param {Object} [extra] Additional fields to record, e.g. `fullPath`
+   */
+  recordVersion (version, extra = {}) {
+    const key = versionKey(version);
+    const record = this.versions[key] || {};
+    const source = Object.assign({}, version, extra);
+
+    versionFields.forEach(field => {
+      if (source[field] != null) {
+        record[field] = source[field];
+      }
+    });
+    diffFields.forEach(field => {
+      if (source[field] && source[field].hash) {
+        record[field] = Object.assign({}, record[field], source[field]);
+      }
+    });
+
+    this.versions[key] = record;
+  }
+
+  /**
+   * Record the time window covered by a completed run.
+   * @param {RunRecord} run
+   */
+  recordRun (run) {
+    this.lastRun = Object.assign({}, run);
+  }
+
+  /**
+   * Get the date a new run should start from in order to pick up exactly
+   * where the last run ended.
+   * @returns {Date}
+   */
+  getResumeDate () {
+    if (!this.lastRun) return null;
+    return this.lastRun.before || this.lastRun.startTime;
+  }
+
+  /**
+   * Write the state to disk.
+   * @returns {Promise}
+   */
+  save () {
+    return writeJsonFile(this.filePath, {
+      lastRun: this.lastRun,
+      versions: this.versions
+    });
+  }
+}
+
+function versionKey (version) {
+  return `${version.siteId}/${version.pageId}/${version.versionId}`;
+}
+
+function parseRunRecord (data) {
+  const result = {};
+  for (const key of ['startTime', 'endTime', 'after', 'before']) {
+    if (data[key]) result[key] = new Date(data[key]);
+  }
+  return result;
+}
+
+StateStore.versionKey = versionKey;
+
+module.exports = StateStore;
@@ -0,0 +1,183 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const mammoth = require('mammoth');
+const {TextExtractionError} = require('./errors');
+
+/**
+ * Kinds of documents text can be extracted from, by name.
+ */
+const extractors = {
+  pdf: {
+    pattern: /^application\/pdf\b/i,
+    extract: body => {
+      // pdf-parse needs a newer version of Node.js than the rest of this
+      // package, so only load it when it's used.
+      const {PDFParse} = require('pdf-parse');
+      // PDF.js takes ownership of the data it's given, so give it a copy
+      // rather than a buffer that might share memory with others.
+      const parser = new PDFParse({data: new Uint8Array(body)});
+      // Don't mark page breaks in the text.
+      const text = parser.getText({pageJoiner: ''}).then(result => result.text);
+      return text
+        .then(() => parser.destroy(), () => parser.destroy())
+        .then(() => text);
+    }
+  },
+  docx: {
+    pattern: /^application\/vnd\.openxmlformats-officedocument\.wordprocessingml\.document\b/i,
+    extract: body => mammoth.extractRawText({buffer: body}).then(result => result.value)
+  },
+  text: {
+    pattern: /^text\/plain\b/i,
+    extract: body => Promise.resolve(body.toString())
+  }
+};
+
+const documentTypes = Object.keys(extractors);
+
+/**
+ * @typedef {Object} ExtractedText
+ * @property {String} text
+ * @property {String} hash A SHA 256 hash of the text
+ * @property {Number} length The length of the text in characters
+ */
+
+/**
+ * Parse a comma-separated list of document types (see `documentTypes`).
+ * @param {String} text
+ * @returns {String[]}
+ */
+function parseDocumentTypes (text) {
+  const types = text.split(',').map(type => type.trim()).filter(type => type);
+  types.forEach(type => {
+    if (!extractors[type]) {
+      throw new Error(`Unknown document type: '${type}' (must be one of ${documentTypes.join(', ')})`);
+    }
+  });
+  return types;
+}
+
+/**
+ * Find which of the given document types a content type is, if any.
+ * @param {String} contentType
+ * @param {String[]} [types] Only consider these types
+ * @returns {String}
+ */
+function documentType (contentType, types = documentTypes) {
+  return types.find(type => extractors[type].pattern.test(contentType || '')) || null;
+}
+
+/**
+ * Tidy up extracted text so that differences in layout details (trailing
+ * spaces, runs of blank lines, Windows line endings) don't change its hash.
+ * @param {String} text
+ * @returns {String}
+ */
+function cleanText (text) {
+  return text
+    .replace(/\r\n?/g, '\n')
+    .split('\n')
+    .map(line => line.trimEnd())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+/**
+ * Extract plain text from a document, like a PDF, so it can be hashed and
+ * compared like the text of an HTML page. Resolves to null if the content is
+ * not one of the given document types.
+ * @param {Buffer} body
+ * @param {String} contentType
+ * @param {String[]} [types] Document types to extract text from
+ * @returns {Promise<ExtractedText>}
+ */
+function extractText (body, contentType, types = documentTypes) {
+  const type = documentType(contentType, types);
+  if (!type) return Promise.resolve(null);
+
+  return Promise.resolve()
+    .then(() => extractors[type].extract(body))
+    .then(text => {
+      text = cleanText(text || '');
+      return {
+        text,
+        hash: crypto.createHash('sha256').update(text).digest('hex'),
+        length: text.length
+      };
+    })
+    .catch(error => {
+      throw new TextExtractionError(
+        `Could not extract text from ${type} document: ${error.message}`,
+        {cause: error, operation: 'text'});
+    });
+}
+
+// Documents are only read from files when they were too big to keep in
+// memory, so read them one at a time.
+let fileExtractions = Promise.resolve();
+
+/**
+ * Like `extractText()`, but reads the document from a file. The file is only
+ * read if the content is one of the given document types.
+ * @param {String} filePath
+ * @param {String} contentType
+ * @param {String[]} [types] Document types to extract text from
+ * @returns {Promise<ExtractedText>}
+ */
+function extractTextFromFile (filePath, contentType, types = documentTypes) {
+  if (!documentType(contentType, types)) return Promise.resolve(null);
+
+  const extracted = fileExtractions
+    .then(() => fs.promises.readFile(filePath))
+    .then(body => extractText(body, contentType, types));
+  fileExtractions = extracted.catch(() => null);
+  return extracted;
+}
+
+/**
+ * Extract text from a version's document and save it next to its raw
+ * content, e.g. `version-<id>.pdf` -> `version-<id>-text.txt`. The hash,
+ * length, and path of the text are set as the version's `extractedText`.
+ * Nothing is done if the content is not one of the given document types.
+ * @param {VersionistaVersion} version
+ * @param {Object} content Content of the version, with `headers` and, if it
+ *        was small enough to keep in memory, `body`
+ * @param {String} contentFilePath Where the raw content was saved
+ * @param {Object} options
+ * @param {String[]} [options.types] Document types to extract text from.
+ *        If not set, no text is extracted.
+ * @param {Function} [options.cleanPath] Transforms the path of the text file
+ *        before it is set on the version
+ * @returns {Promise}
+ */
+function saveVersionText (version, content, contentFilePath, {types, cleanPath = filePath => filePath}) {
+  const contentType = content.headers['content-type'];
+  if (!types || !documentType(contentType, types)) {
+    return Promise.resolve();
+  }
+
+  const textPath = contentFilePath.replace(/\.[^./\\]*$/, '') + '-text.txt';
+  // Documents that were too big to keep in memory are read back from disk.
+  const extraction = content.body
+    ? extractText(content.body, contentType, types)
+    : extractTextFromFile(contentFilePath, contentType, types);
+  return extraction
+    .then(extracted => {
+      version.extractedText = {
+        hash: extracted.hash,
+        length: extracted.length,
+        path: cleanPath(textPath)
+      };
+      return fs.promises.writeFile(textPath, extracted.text);
+    });
+}
+
+module.exports = extractText;
+module.exports.fromFile = extractTextFromFile;
+module.exports.documentTypes = documentTypes;
+module.exports.documentType = documentType;
+module.exports.parseDocumentTypes = parseDocumentTypes;
+module.exports.saveVersionText = saveVersionText;
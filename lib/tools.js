@@ -80,10 +80,28 @@ function getDeep (object, ...properties) {
   return properties.reduce((parent, key) => (parent != null ? parent[key] : null), object);
 }
 
+const sizeUnits = {b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3};
+
+/**
+ * Parse a size in bytes, which may have a unit, like `500`, `64KB`, or
+ * `1.5 GB`. Units are powers of 1024.
+ * @param {string|number} size
+ * @returns {number} The number of bytes, or NaN if the size is not valid.
+ */
+function parseSize (size) {
+  if (typeof size === 'number') return size;
+
+  const match = String(size).trim().match(/^(\d+(?:\.\d+)?)\s*([kmg]?b)?$/i);
+  if (!match) return NaN;
+  const unit = (match[2] || 'b').toLowerCase();
+  return Math.round(parseFloat(match[1]) * sizeUnits[unit]);
+}
+
 module.exports = {
   compareMany,
   ascend,
   descend,
   getter,
-  getDeep
+  getDeep,
+  parseSize
 }
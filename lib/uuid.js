@@ -1,2 +1,54 @@
+'use strict';
+
+const crypto = require('crypto');
+
 // Minimal UUID generation from https://gist.github.com/jed/982883
 module.exports = function uuid(a){return a?(a^Math.random()*16>>a/4).toString(16):([1e7]+-1e3+-4e3+-8e3+-1e11).replace(/[018]/g,uuid)}
+
+// Namespace for version UUIDs (itself a v5 UUID of 'versionista.com' in the
+// standard DNS namespace). Never change this; it would change every UUID.
+const VERSIONISTA_NAMESPACE = '4e8f2c3a-5c85-511a-967c-13c503c8effa';
+
+/**
+ * Create a name-based (version 5) UUID, as described in RFC 4122. The same
+ * name and namespace always produce the same UUID.
+ * @param {String} name
+ * @param {String} namespace A UUID
+ * @returns {String}
+ */
+function fromName (name, namespace) {
+  const hash = crypto.createHash('sha1')
+    .update(Buffer.from(namespace.replace(/-/g, ''), 'hex'))
+    .update(name)
+    .digest();
+
+  hash[6] = (hash[6] & 0x0f) | 0x50;
+  hash[8] = (hash[8] & 0x3f) | 0x80;
+
+  const hex = hash.toString('hex', 0, 16);
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20)
+  ].join('-');
+}
+
+/**
+ * Get the UUID for a version. It is derived from the version's IDs, so it is
+ * the same every time the version is scraped. Versionista's IDs are unique
+ * across accounts, so the account is not part of it (and renaming an account
+ * doesn't change any UUIDs).
+ * @param {String|Number} siteId
+ * @param {String|Number} pageId
+ * @param {String|Number} versionId
+ * @returns {String}
+ */
+function forVersion (siteId, pageId, versionId) {
+  return fromName(`${siteId}/${pageId}/${versionId}`, VERSIONISTA_NAMESPACE);
+}
+
+module.exports.fromName = fromName;
+module.exports.forVersion = forVersion;
+module.exports.VERSIONISTA_NAMESPACE = VERSIONISTA_NAMESPACE;
@@ -2,10 +2,19 @@
 
 const csvParse = require('csv-parse');
 const crypto = require('crypto');
+const fs = require('fs');
 const jsdom = require('jsdom');
 const mime = require('mime-types');
+const stream = require('stream');
+const url = require('url');
 const util = require('util');
 const createClient = require('./client');
+const errors = require('./errors');
+const flatten = require('./flatten');
+const HttpRecorder = require('./http-recorder');
+const localDiff = require('./local-diff');
+const SchemaMonitor = require('./schema-monitor');
+const uuid = require('./uuid');
 const {xpath, xpathArray, xpathNode} = require('./xpath');
 
 const csvParsePromise = util.promisify(csvParse);
@@ -19,6 +28,8 @@ const csvParsePromise = util.promisify(csvParse);
 
 /**
  * @typedef {Object} VersionistaPage
+ * @property {String} id
+ * @property {String} siteId
  * @property {String} url
  * @property {String} versionistaUrl
  * @property {String} title
@@ -29,6 +40,8 @@ const csvParsePromise = util.promisify(csvParse);
 /**
  * @typedef {Object} VersionistaVersion
  * @property {String} versionId
+ * @property {String} uuid A UUID derived from the site, page, and version IDs,
+ *           so it is the same every time the version is scraped.
  * @property {String} pageId
  * @property {String} siteId
  * @property {String} url
@@ -50,15 +63,71 @@ const csvParsePromise = util.promisify(csvParse);
  * @property {Date} [diffWithPreviousSafeDate]
  * @property {String} [diffWithFirstSafeUrl]
  * @property {Date} [diffWithFirstSafeDate]
+ * @property {String} versionsSource How the version was listed: `api` or `html`
+ */
+
+/**
+ * A version that Versionista captured and later deleted. The versions API
+ * keeps a very limited record of these, so any properties other than the IDs
+ * and `url` may be null.
+ * @typedef {Object} VersionistaDeletedVersion
+ * @property {String} versionId
+ * @property {String} uuid
+ * @property {String} pageId
+ * @property {String} siteId
+ * @property {String} url
+ * @property {Boolean} deleted Always `true`
+ * @property {Date} date
+ * @property {Date} lastDate
+ * @property {Boolean} hasContent Always `false`
+ */
+
+/**
+ * @typedef {Object} VersionistaVersionHistory
+ * @property {VersionistaVersion[]} versions
+ * @property {VersionistaDeletedVersion[]} deletedVersions
+ */
+
+/**
+ * @typedef {Object} VersionistaVersionRecord
+ * @property {VersionistaSite} site
+ * @property {VersionistaPage} page
+ * @property {VersionistaVersion} version
  */
 
 /**
  * @typedef {Object} VersionistaDiff
- * @property {Number} length The length of the diff in characters
+ * @property {Number} length The length of the diff in characters (or bytes,
+ *           if the diff is not text)
  * @property {String} hash A SHA 256 hash of the diff
- * @property {String} content The diff itself
+ * @property {String|Buffer} content The diff itself. This is a Buffer if the
+ *           diff is not text (e.g. `screenshots` diffs may be images).
+ * @property {String} contentType
+ * @property {String} extension File extension for the diff, e.g. `.html`
+ * @property {String} [engine] `local` if the diff was made locally instead of
+ *           by Versionista's diff host
+ * @property {String} [normalizedHash] Hash of the diff after applying
+ *           normalization rules (see `lib/normalization.js`)
  */
 
+const DEFAULT_URL = 'https://versionista.com';
+
+const versionsSources = ['api', 'html', 'auto'];
+
+// Errors from the versions API that indicate `auto` should fall back to HTML.
+const fallbackErrorCodes = [
+  'VERSIONISTA:HTTP_ERROR',
+  'VERSIONISTA:SCHEMA_MISMATCH'
+];
+
+const diffEngines = ['versionista', 'local', 'fallback'];
+
+// How many versions' content to keep in memory for making local diffs (on top
+// of two for each request that can be made at once).
+const DIFFABLE_CONTENT_CACHE_SIZE = 10;
+// Don't make local diffs of content bigger than this.
+const MAX_DIFFABLE_SIZE = 10 * 1024 * 1024;
+
 const versionistaSourceAdditionsPattern =
   /\n?<!--\s*Versionista general\s*-->[^]*?<!--\s*End Versionista general\s*-->\n?/i;
 
@@ -71,9 +140,59 @@ class Versionista {
    * @param {Object} options
    * @param {String} options.email E-mail for Versionista account
    * @param {String} options.password Password for Versionista account
+   * @param {String} [options.url='https://versionista.com'] Base URL of
+   *        Versionista. Only useful for testing against a stand-in server.
+   * @param {String} [options.versionsSource='auto'] How to list versions:
+   *        `api` uses the versions API, `html` scrapes page HTML and CSVs, and
+   *        `auto` uses the API, but falls back to HTML if the API fails.
+   * @param {SchemaMonitor} [options.schemaMonitor] If set, record changes to
+   *        the schema of Versionista's API here instead of failing on the
+   *        first mismatch. Missing required properties are still errors.
+   * @param {String} [options.cookieFile] Save session cookies to this file
+   *        after logging in, and use them instead of logging in again if they
+   *        are present the next time.
+   * @param {String} [options.record] Save every request and response in this
+   *        directory so they can be replayed later.
+   * @param {String} [options.replay] Replay responses recorded in this
+   *        directory instead of actually contacting Versionista.
+   * @param {String} [options.diffEngine='versionista'] How to get diffs:
+   *        `versionista` uses Versionista's diff host, `local` makes them
+   *        from the raw content of each version, and `fallback` uses the diff
+   *        host, but makes diffs locally if it fails. Only `only` and
+   *        `text_only` diffs can be made locally.
+   * @param {Number} [options.maxDiffableSize=10MB] Don't make local diffs of
+   *        content bigger than this many bytes.
+   * @param {Normalizer} [options.normalizer] If set, text content and diffs
+   *        also get a `normalizedHash`: a hash of the content after applying
+   *        the normalizer's rules for the version's site.
    */
   constructor (options) {
-    this.client = createClient(options && options.client || {});
+    this.url = (options.url || DEFAULT_URL).replace(/\/$/, '');
+    this.versionsSource = options.versionsSource || 'auto';
+    if (!versionsSources.includes(this.versionsSource)) {
+      throw new Error(`Unknown versions source: '${this.versionsSource}' (must be one of ${versionsSources.join(', ')})`);
+    }
+    this.diffEngine = options.diffEngine || 'versionista';
+    if (!diffEngines.includes(this.diffEngine)) {
+      throw new Error(`Unknown diff engine: '${this.diffEngine}' (must be one of ${diffEngines.join(', ')})`);
+    }
+    this.maxDiffableSize = options.maxDiffableSize || MAX_DIFFABLE_SIZE;
+    this._diffableContent = new Map();
+    this.normalizer = options.normalizer || null;
+    this.schemaMonitor = options.schemaMonitor || null;
+    const clientOptions = Object.assign({}, options.client);
+    if (options.record && options.replay) {
+      throw new Error('Cannot both record and replay requests');
+    }
+    else if (options.record || options.replay) {
+      clientOptions.recorder = new HttpRecorder(
+        options.record || options.replay,
+        options.record ? 'record' : 'replay');
+    }
+    this.client = createClient(clientOptions);
+    this._diffableContentLimit = DIFFABLE_CONTENT_CACHE_SIZE +
+      2 * this.client.maxSockets;
+    this.cookieFile = options.cookieFile || null;
     this.logIn = this.logIn.bind(this, options.email, options.password);
   }
 
@@ -82,6 +201,8 @@ class Versionista {
    * the request module, but returns a promise and can optionally parse the
    * result with JSDOM.
    * @param {Object|String} options The URL to get or a `request` options Object
+   * @param {String} [options.kind] What sort of request this is, for metrics,
+   *        e.g. `versions-api` or `raw-content`.
    * @param {Boolean} [options.parseBody=true] If true, return a JSDom widow
    *        object instead of a HTTP response. The window will have two
    *        additional properties:
@@ -98,8 +219,43 @@ class Versionista {
       options.parseBody = true;
     }
 
+    const session = this._loggedIn;
     return this.client(options)
       .then(response => {
+        // If the session expired, Versionista sends us to the login page.
+        // Log in again and retry once.
+        if (session && options.checkSession !== false
+          && isLoggedOutResponse(response, this.url, options.kind)) {
+          if (options.isRetryAfterLogIn) {
+            throw new errors.AuthenticationError(
+              `Versionista logged us out while requesting ${options.url}`,
+              {code: 'VERSIONISTA:LOGGED_OUT', url: options.url});
+          }
+
+          // Other requests may have already started logging in again.
+          if (this._loggedIn === session) {
+            this._loggedIn = null;
+          }
+          return this.logIn().then(() => this.request(
+            Object.assign({}, options, {isRetryAfterLogIn: true})));
+        }
+
+        // The client retries throttled requests (unless `retry: false`), so
+        // if we're still throttled after that, give up.
+        if (response.statusCode === 429) {
+          throw new errors.RateLimitedError(
+            `Versionista is rate limiting us (while requesting ${options.url})`,
+            {
+              url: options.url,
+              retryAfter: createClient.parseRetryAfter(response.headers['retry-after'])
+            });
+        }
+
+        // Streamed responses (see `streamTo` in `client.js`) have no body.
+        if (response.body == null) {
+          return response;
+        }
+
         const contentType = response.headers['content-type'] || '';
         const mightBeHtml = contentType.startsWith('text/html') ||
           !!response.body.toString().match(/^[\s\n]*</) ||
@@ -122,74 +278,170 @@ class Versionista {
   }
 
   /**
-   * Log in to Versionista.
+   * Check that an object from Versionista's API matches the schema we expect.
+   * @param {String} name Name of the schema (used in drift reports)
+   * @param {Object} schema
+   * @param {Object} object
+   * @param {String} example Where the object came from (usually a URL)
+   * @param {String} message Message for the error if the object doesn't match
+   */
+  _checkSchema (name, schema, object, example, message) {
+    if (this.schemaMonitor) {
+      this.schemaMonitor.check(name, schema, object, example, message);
+    }
+    else {
+      assertSchema(schema, object, message);
+    }
+  }
+
+  /**
+   * Log in to Versionista. If there is a `cookieFile` with cookies from a
+   * previous session, those are used instead the first time this is called.
    * @returns {Promise}
    */
   logIn (email, password) {
     if (!this._loggedIn) {
-      this._loggedIn = this.request({
-        url: 'https://versionista.com/login',
-        method: 'POST',
-        form: {em: email, pw: password},
-        followRedirect: false
-      })
-        .then(window => {
-          if (window.httpResponse.body.match(/log in/i)) {
-            const infoNode = window.document.querySelector('.alert');
-            const details = infoNode ? ` (${infoNode.textContent.trim()})` : '';
-            throw new Error(`Could not log in${details}`);
-          }
-        });
+      const restored = this._restoredSession ? false : this.restoreSession();
+      this._restoredSession = true;
+
+      this._loggedIn = Promise.resolve(restored).then(hasSession => {
+        if (hasSession) return;
+
+        return this.request({
+          url: `${this.url}/login`,
+          kind: 'login',
+          method: 'POST',
+          form: {em: email, pw: password},
+          followRedirect: false,
+          checkSession: false
+        })
+          .then(window => {
+            if (window.httpResponse.body.match(/log in/i)) {
+              const infoNode = window.document.querySelector('.alert');
+              const details = infoNode ? ` (${infoNode.textContent.trim()})` : '';
+              throw new errors.AuthenticationError(`Could not log in${details}`);
+            }
+          })
+          .then(() => this.saveSession());
+      });
     }
     return this._loggedIn;
   }
 
+  /**
+   * Load session cookies from `cookieFile`, if set.
+   * @returns {Promise<Boolean>} Whether any cookies were loaded
+   */
+  restoreSession () {
+    if (!this.cookieFile) return Promise.resolve(false);
+
+    return fs.promises.readFile(this.cookieFile, 'utf8')
+      .then(text => JSON.parse(text), error => {
+        if (error.code === 'ENOENT') return {};
+        throw error;
+      })
+      .then(saved => {
+        const cookies = saved[this.url] || [];
+        cookies.forEach(cookie => this.client.cookieJar.setCookie(cookie, this.url));
+        return this.client.cookieJar.getCookies(this.url).length > 0;
+      });
+  }
+
+  /**
+   * Save session cookies to `cookieFile`, if set. Cookies for other
+   * Versionista URLs in the file are kept.
+   * @returns {Promise}
+   */
+  saveSession () {
+    if (!this.cookieFile) return Promise.resolve();
+
+    return fs.promises.readFile(this.cookieFile, 'utf8')
+      .then(text => JSON.parse(text))
+      .catch(() => ({}))
+      .then(saved => {
+        saved[this.url] = this.client.cookieJar.getCookies(this.url)
+          .map(cookie => cookie.toString());
+        // Cookies are as good as a password, so keep them private.
+        return fs.promises.writeFile(
+          this.cookieFile,
+          JSON.stringify(saved, null, 2),
+          {encoding: 'utf8', mode: 0o600});
+      });
+  }
+
   /**
    * Get an array of the sites in the Versionista Account.
    * @returns {Promise<VersionistaSite[]>}
    */
   getSites () {
     // Parse site data out of the CSV that lists all pages.
-    return this.request({
-      url: 'https://versionista.com/download/urls.csv',
-      parseBody: false
-    })
-      .then(response => parsePagesCsv(response.body))
-      .then(csv => {
-        const sites = new Map();
-        for (const page of csv) {
-          if (!page.last_version) continue;
-
-          const urlInfo = parseVersionistaUrl(page.last_version);
-          let site = sites.get(urlInfo.siteId);
-          if (!site) {
-            site = {
-              id: urlInfo.siteId,
-              name: page.parent_site,
-              url: `https://versionista.com/${urlInfo.siteId}/`,
-              lastChange: page.last_new
-            };
-            sites.set(urlInfo.siteId, site);
-          }
+    return this.getPagesCsv()
+      .then(csv => Array.from(sitesFromPagesCsv(csv, this.url).values()));
+  }
 
-          if (site.lastChange < page.lastChange) {
-            site.lastChange = page.lastChange;
-          }
-        }
+  /**
+   * Get the parsed CSV listing every page in the account. The CSV is only
+   * downloaded once and then shared by `getSites()`, `getPages()`, and
+   * `getAllPages()`.
+   * @returns {Promise<CsvPageRecord[]>}
+   */
+  getPagesCsv () {
+    if (!this._pagesCsv) {
+      this._pagesCsv = this.request({
+        url: `${this.url}/download/urls.csv`,
+        kind: 'pages-csv',
+        parseBody: false
+      })
+        .then(response => parsePagesCsv(response.body));
 
-        return Array.from(sites.values());
-      });
+      // Don't cache failures.
+      this._pagesCsv.catch(() => this._pagesCsv = null);
+    }
+    return this._pagesCsv;
   }
 
   /**
-   * Get an array of tracked pages for a given site.
+   * Get an array of every tracked page in the account. This is much faster
+   * than calling `getPages()` for each site, since it usually only needs the
+   * CSV listing all pages. Sites where the CSV doesn't identify every page
+   * fall back to Versionista's per-site API.
+   * @returns {Promise<VersionistaPage[]>}
+   */
+  getAllPages () {
+    return this.getPagesCsv().then(csv => {
+      const sites = sitesFromPagesCsv(csv, this.url);
+      return Promise.all(Array.from(sites.values()).map(site => {
+        return pagesFromPagesCsv(csv, site, this.url)
+          || this.getPagesFromApi(site.url);
+      }))
+        .then(flatten);
+    });
+  }
+
+  /**
+   * Get an array of tracked pages for a given site. This uses the CSV listing
+   * all pages if it has everything we need and otherwise falls back to
+   * Versionista's per-site API. Note pages with no versions may not be
+   * included if the CSV was used.
    * @param {String} siteUrl URL of site page on Versionista
    * @returns {Promise<VersionistaPage[]>}
    */
   getPages (siteUrl) {
-    // TODO: Now that getSites() uses a CSV of all pages instead of scraping,
-    // consider using its output here for getPages as well. (Then we could get
-    // all pages for all sites much more quickly.)
+    const siteId = parseVersionistaUrl(siteUrl).siteId;
+    return this.getPagesCsv().then(csv => {
+      const site = sitesFromPagesCsv(csv, this.url).get(siteId);
+      return (site && pagesFromPagesCsv(csv, site, this.url))
+        || this.getPagesFromApi(siteUrl);
+    });
+  }
+
+  /**
+   * Get an array of tracked pages for a given site from Versionista's per-site
+   * API. You should usually use `getPages()` instead.
+   * @param {String} siteUrl URL of site page on Versionista
+   * @returns {Promise<VersionistaPage[]>}
+   */
+  getPagesFromApi (siteUrl) {
     const site = parseVersionistaUrl(siteUrl);
 
     // Versionista seems to be growing a bit of an API, but it may not be very
@@ -247,26 +499,34 @@ class Versionista {
       lnew: 'number?'
     };
 
-    const apiUrl = `https://versionista.com/api/site/${site.siteId}/`;
-    return this.request({url: apiUrl, json: true}).then(response => {
+    const apiUrl = `${this.url}/api/site/${site.siteId}/`;
+    return this.request({url: apiUrl, json: true, kind: 'site-api'}).then(response => {
       const apiData = response.body;
       if (Array.isArray(apiData)) {
-        throw new Error(`Response from page listing API was not a JSON object: ${apiUrl}`);
+        throw new errors.SchemaMismatchError(`Response from page listing API was not a JSON object: ${apiUrl}`, {url: apiUrl});
       }
       if (!apiData.data || !apiData.pages) {
-        throw new Error(`Response from page listing API did not have 'data' and 'pages' properties: ${apiUrl}`);
+        throw new errors.SchemaMismatchError(`Response from page listing API did not have 'data' and 'pages' properties: ${apiUrl}`, {url: apiUrl});
       }
       if (Array.isArray(apiData.pages)) {
-        throw new Error(`The 'pages' property in the page listing API was not an object: ${apiUrl}`);
+        throw new errors.SchemaMismatchError(`The 'pages' property in the page listing API was not an object: ${apiUrl}`, {url: apiUrl});
+      }
+
+      // Nothing here but `base` is used, so site data is only checked for
+      // drift reports and never stops the listing.
+      if (this.schemaMonitor) {
+        this.schemaMonitor.observe('site', apiSiteDataSchema, apiData.data, apiUrl);
       }
 
       const siteBase = apiData.data.base;
       // TODO: once we are reasonably confident in the schema, just assert on
       // the first item for performance.
       return Object.entries(apiData.pages).map(([id, apiPage]) => {
-        assertSchema(
+        this._checkSchema(
+          'page',
           apiPageSchema,
           apiPage,
+          apiUrl,
           `Page does not match expected schema. ID: ${id}, URL: ${apiUrl}, $ERROR`);
 
         // Ensure IDs are strings (they may be numbers)
@@ -279,8 +539,9 @@ class Versionista {
 
         return {
           id: apiPage.id,
+          siteId: site.siteId,
           url: remoteUrl,
-          versionistaUrl: `https://versionista.com/${site.siteId}/${apiPage.id}/`,
+          versionistaUrl: `${this.url}/${site.siteId}/${apiPage.id}/`,
           title: apiPage.title,
           lastChange: apiPage.lnew && new Date(apiPage.lnew * 1000),
           lastChecked: apiPage.lchk && new Date(apiPage.lchk * 1000),
@@ -299,6 +560,50 @@ class Versionista {
    * @returns {Promise<VersionistaVersion[]>}
    */
   getVersions (pageUrl) {
+    return this.getVersionHistory(pageUrl).then(history => history.versions);
+  }
+
+  /**
+   * Get the versions of a page along with records of versions that were
+   * deleted from Versionista. Both lists are in ascending order.
+   *
+   * Versions are normally listed with Versionista's (undocumented) versions
+   * API, but can also be scraped from the page's HTML and versions CSV, which
+   * takes more requests and has no records of deleted versions. Each version
+   * has a `versionsSource` property indicating which one it came from.
+   * @param {String} pageUrl URL of page details page on Versionista
+   * @param {String} [source] `api`, `html`, or `auto`. Defaults to the
+   *        `versionsSource` option this instance was created with.
+   * @returns {Promise<VersionistaVersionHistory>}
+   */
+  getVersionHistory (pageUrl, source = this.versionsSource) {
+    if (source === 'html') {
+      return this.getVersionHistoryFromHtml(pageUrl);
+    }
+
+    const fromApi = this.getVersionHistoryFromApi(pageUrl);
+    if (source !== 'auto') {
+      return fromApi;
+    }
+
+    return fromApi.catch(error => {
+      if (!fallbackErrorCodes.includes(error.code)) {
+        throw error;
+      }
+
+      return this.getVersionHistoryFromHtml(pageUrl).catch(htmlError => {
+        error.message = `${error.message} (Falling back to HTML also failed: ${htmlError.message})`;
+        throw error;
+      });
+    });
+  }
+
+  /**
+   * Get the version history of a page from Versionista's versions API.
+   * @param {String} pageUrl URL of page details page on Versionista
+   * @returns {Promise<VersionistaVersionHistory>}
+   */
+  getVersionHistoryFromApi (pageUrl) {
     const page = parseVersionistaUrl(pageUrl);
 
     /**
@@ -330,13 +635,28 @@ class Versionista {
       // Only present if true
       stored: 'boolean?',
       seen: 'number?',
-      title: 'string?'
+      title: 'string?',
+      // Only present on redirects
+      final_url: 'string?',
+      // Known, but not used. Listed so they aren't reported as schema drift.
+      render_stamp: 'number?',
+      protected: 'boolean?',
+      beacon: 'number?'
     };
-    const versionsApiUrl = `https://versionista.com/api/versions/${page.siteId}/${page.pageId}`;
-    return this.request({url: versionsApiUrl, json: true}).then(response => {
+    const baseUrl = this.url;
+    const versionsApiUrl = `${baseUrl}/api/versions/${page.siteId}/${page.pageId}`;
+    return this.request({url: versionsApiUrl, json: true, kind: 'versions-api'}).then(response => {
+      if (response.statusCode >= 400) {
+        throw new errors.HttpError(
+          `Version listing API responded with status ${response.statusCode}: ${versionsApiUrl}`,
+          {status: response.statusCode, url: versionsApiUrl});
+      }
+
       const apiVersions = response.body;
       if (!Array.isArray(apiVersions)) {
-        throw new Error(`Response from version listing API was not a JSON array: ${versionsApiUrl}`)
+        throw new errors.SchemaMismatchError(
+          `Response from version listing API was not a JSON array: ${versionsApiUrl}`,
+          {url: versionsApiUrl});
       }
       // TODO: once we are reasonably confident in the schema, just assert on
       // the first item for performance.
@@ -344,32 +664,46 @@ class Versionista {
       //   assertSchema(apiVersionSchema, apiVersions[0]);
       // }
 
-      let oldestVersion;
-      let previousVersion;
-      let oldestSafeVersion;
-      let previousSafeVersion;
-      return apiVersions
-        // The API appears to return metadata for old, deleted records (!) but
-        // that metadata is ultra-limited and I'm not sure how/if to use it
-        // effectively yet. We didn't have this before, so drop it for now.
-        // FIXME: keep this data (we might need a different schema for it)
+      // The API also returns ultra-limited metadata for versions that were
+      // deleted (!). These are kept separately since they have no content and
+      // can't be diffed against.
+      const deletedVersions = apiVersions
+        .filter(version => version.deleted)
+        .map(apiVersion => Object.assign({}, page, {
+          versionId: apiVersion.id,
+          uuid: uuid.forVersion(page.siteId, page.pageId, apiVersion.id),
+          url: `${baseUrl}/${page.siteId}/${page.pageId}/${apiVersion.id}/`,
+          deleted: true,
+          date: apiVersion.fst ? new Date(apiVersion.fst * 1000) : null,
+          lastDate: apiVersion.lst ? new Date(apiVersion.lst * 1000) : null,
+          hasContent: false,
+          versionsSource: 'api'
+        }))
+        .reverse();
+
+      const versions = apiVersions
         .filter(version => !version.deleted)
         .map((apiVersion, index) => {
-          assertSchema(
+          this._checkSchema(
+            'version',
             apiVersionSchema,
             apiVersion,
+            versionsApiUrl,
             `Version does not match expected schema. Index: ${index}, URL: ${versionsApiUrl}`);
 
           // This is a string like '200 OK', so we can safely parse the code
           // off the front of it.
           const status = parseInt(apiVersion.rc, 10);
           if (isNaN(status)) {
-            throw new Error(`Could not parse status code from version. String: '${apiVersion.rc}', ${index}, URL: ${versionsApiUrl}`);
+            throw new errors.SchemaMismatchError(
+              `Could not parse status code from version. String: '${apiVersion.rc}', ${index}, URL: ${versionsApiUrl}`,
+              {url: versionsApiUrl, versionId: apiVersion.id});
           }
 
           return Object.assign({}, page, {
             versionId: apiVersion.id,
-            url: `https://versionista.com/${page.siteId}/${page.pageId}/${apiVersion.id}/`,
+            uuid: uuid.forVersion(page.siteId, page.pageId, apiVersion.id),
+            url: `${baseUrl}/${page.siteId}/${page.pageId}/${apiVersion.id}/`,
             date: new Date(apiVersion.fst * 1000),
             hasContent: apiVersion.stored,
             // Because of historical fun, errorCode is a string and only present
@@ -380,158 +714,48 @@ class Versionista {
             length: apiVersion.size,
             contentType: apiVersion.content_type,
             redirects: apiVersion.final_url ? [apiVersion.final_url] : null,
-            title: apiVersion.title
+            title: apiVersion.title,
             // NOTE: the CSV has load timing, which the API does not. That's the
             // only missing piece, though. Is it worth fetching the CSV for that?
             // loadTime: csvRow.load_time
+            versionsSource: 'api'
           });
         })
-        .reverse()
-        .map(version => {
-          // Create links and diff info for previous and first versions
-          if (previousVersion) {
-            version.diffWithPreviousUrl = formatComparisonUrl(version, previousVersion);
-            version.diffWithPreviousDate = version.date;
-            version.diffWithFirstUrl = formatComparisonUrl(version, oldestVersion);
-            version.diffWithFirstDate = oldestVersion.date;
-
-            if (previousSafeVersion && previousSafeVersion !== previousVersion) {
-              version.diffWithPreviousSafeUrl = formatComparisonUrl(version, previousSafeVersion);
-              version.diffWithPreviousSafeDate = version.date;
-              version.diffWithFirstSafeUrl = formatComparisonUrl(version, oldestSafeVersion);
-              version.diffWithFirstSafeDate = oldestSafeVersion.date;
-            }
-          }
-          else {
-            oldestVersion = version;
-          }
+        .reverse();
 
-          previousVersion = version;
-          if (!version.errorCode) {
-            previousSafeVersion = version;
-            oldestSafeVersion = oldestSafeVersion || version;
-          }
-
-          return version;
-        });
+      return {
+        versions: linkVersions(versions, baseUrl),
+        deletedVersions
+      };
     });
+  }
 
-    // FIXME: this code is unreachable now, and we may want to excise it or
-    // split it out so it can be used as a fallback somehow.
-    const versionDataForRow = (versionRow) => {
-      const linkNode = xpathNode(versionRow, "./td[2]/a");
-      let url = linkNode && linkNode.href;
-      const hasContent = !!url;
-      if (!url) {
-        const versionId = versionRow.id.match(/^version_([^_]+)/)[1];
-        url = joinUrlPaths(pageUrl, versionId);
-      }
-
-      const dateNode = xpathNode(versionRow, "./td[2]//*[@class='gmt']");
-      if (!dateNode) {
-        throw new Error(`Could not find date field for version "${url}"`);
-      }
-      const timestamp = 1000 * parseFloat(dateNode.textContent);
-      const date = Number.isNaN(timestamp) ? null : new Date(timestamp);
-
-      let errorCode;
-      const errorCodeNotices = versionRow.querySelectorAll('.failpage');
-      if (errorCodeNotices.length > 1) {
-        throw new Error(`More than one error code for version "${url}"`);
-      }
-      else if (errorCodeNotices.length) {
-        errorCode = errorCodeNotices[0].title.match(/:\s+(\d{3})\D/)[1];
-      }
-
-      return Object.assign(parseVersionistaUrl(url), {
-        url,
-        date,
-        hasContent,
-        errorCode
-      });
-    }
-
-    function formatComparisonUrl(version, compareTo = {versionId: 0}) {
-      return `https://versionista.com/${version.siteId}/${version.pageId}/${version.versionId}:${compareTo.versionId}/`;
-    }
-
-    function getVersionCsvUrl(page) {
-      return `https://versionista.com/download/page-${page.siteId}-${page.pageId}.csv`;
-    }
-
-    function parseVersionsCsv(csvString) {
-      return csvParsePromise(csvString.toString(), {
-        cast: true,
-        cast_date: true,
-        columns (names) {
-          // lower-case, replace spaces with `_`, remove parentheticals:
-          // 'Load time' -> 'load_time'
-          const result = names.map(name =>
-            name.toLowerCase().replace(/\s+\(.+?\)/g, '').replace(/\s/g, '_'));
-
-          // Validate
-          const columns = [
-            'first_seen',
-            'last_seen',
-            'response_code',
-            'size',
-            'mime_type',
-            'load_time',
-            'redirected_to'
-          ];
-          columns.forEach(name => {
-            if (!result.includes(name)) throw new Error(`Page CSV is missing required columns: ${columns.join(', ')}`);
-          });
-
-          return result;
-        }
-      });
-    }
+  /**
+   * Get the version history of a page by scraping the versions table from the
+   * page's HTML and combining it with the page's versions CSV. This was how
+   * versions were listed before the versions API existed, and is now used as
+   * a fallback if the API fails. It can't find deleted versions.
+   * @param {String} pageUrl URL of page details page on Versionista
+   * @returns {Promise<VersionistaVersionHistory>}
+   */
+  getVersionHistoryFromHtml (pageUrl) {
+    const page = parseVersionistaUrl(pageUrl);
+    const baseUrl = this.url;
 
-    const versionsFromPage = this.request(pageUrl).then(window => {
+    const versionsFromPage = this.request({url: pageUrl, kind: 'page-html'}).then(window => {
       const table = window.document.getElementById('pageTableBody');
       if (!table) {
-        throw new Error(`HTML for page ${pageUrl} has no versions table`);
+        throw new errors.SchemaMismatchError(`HTML for page ${pageUrl} has no versions table`);
       }
 
-      const versionRows = Array.from(table.querySelectorAll('tr.version'));
-      let oldestVersion;
-      let previousVersion;
-      let oldestSafeVersion;
-      let previousSafeVersion;
-
-      return versionRows.reverse().map(row => {
-        const version = versionDataForRow(row);
-
-        // Create links and diff info for previous and first versions
-        if (previousVersion) {
-          version.diffWithPreviousUrl = formatComparisonUrl(version, previousVersion);
-          version.diffWithPreviousDate = version.date;
-          version.diffWithFirstUrl = formatComparisonUrl(version, oldestVersion);
-          version.diffWithFirstDate = oldestVersion.date;
-
-          if (previousSafeVersion && previousSafeVersion !== previousVersion) {
-            version.diffWithPreviousSafeUrl = formatComparisonUrl(version, previousSafeVersion);
-            version.diffWithPreviousSafeDate = version.date;
-            version.diffWithFirstSafeUrl = formatComparisonUrl(version, oldestSafeVersion);
-            version.diffWithFirstSafeDate = oldestSafeVersion.date;
-          }
-        }
-        else {
-          oldestVersion = version;
-        }
-
-        previousVersion = version;
-        if (!version.errorCode) {
-          previousSafeVersion = version;
-          oldestSafeVersion = oldestSafeVersion || version;
-        }
-
-        return version;
-      });
+      // Rows are in descending order by date.
+      return Array.from(table.querySelectorAll('tr.version'))
+        .map(row => versionDataForRow(row, pageUrl))
+        .reverse();
     });
 
-    const csvMetadata = this.request({url: getVersionCsvUrl(page), parseBody: false})
+    const csvUrl = `${baseUrl}/download/page-${page.siteId}-${page.pageId}.csv`;
+    const csvMetadata = this.request({url: csvUrl, parseBody: false, kind: 'versions-csv'})
       .then(response => parseVersionsCsv(response.body))
       .then(csv => {
         // Create timestamp lookup for CSV data (the CSVs have no IDs)
@@ -543,24 +767,34 @@ class Versionista {
     // Combine in-page and CSV-based data
     return Promise.all([versionsFromPage, csvMetadata])
       .then(([versions, csv]) => {
-        return versions.map(version => {
-          const csvRow = csv.get(version.date.getTime());
+        versions.forEach(version => {
+          const csvRow = version.date && csv.get(version.date.getTime());
           if (!csvRow) {
-            throw new Error(`No CSV row for version '${version.siteId}/${version.pageId}/${version.versionId}'`);
+            throw new errors.SchemaMismatchError(
+              `No CSV row for version '${version.siteId}/${version.pageId}/${version.versionId}'`,
+              {versionId: version.versionId});
           }
 
+          const status = parseInt(csvRow.response_code, 10);
           Object.assign(version, {
+            uuid: uuid.forVersion(version.siteId, version.pageId, version.versionId),
+            errorCode: version.errorCode ||
+              ((status && status >= 400) ? status.toString(10) : null),
             lastDate: csvRow.last_seen,
-            status: parseInt(csvRow.response_code, 10),
+            status: status,
             length: csvRow.size,
             contentType: csvRow.mime_type,
             loadTime: csvRow.load_time,
             redirects: csvRow.redirected_to ? [csvRow.redirected_to] : null,
-            title: csvRow.title || null
+            title: csvRow.title || null,
+            versionsSource: 'html'
           });
-
-          return version;
         });
+
+        return {
+          versions: linkVersions(versions, baseUrl),
+          deletedVersions: []
+        };
       });
   }
 
@@ -572,35 +806,137 @@ class Versionista {
    * @returns {Promise<String|Buffer>}
    */
   getVersionRawContent (versionUrl) {
+    const content = this._requestRawContent(versionUrl)
+      .then(response => {
+        if (!Buffer.isBuffer(response.body)) {
+          throw new Error(`Unexpected response: '${versionUrl}'`);
+        }
+
+        return rawContentResult(response, {
+          body: response.body,
+          hash: hash(response.body),
+          length: Buffer.byteLength(response.body, 'utf8')
+        }, this._normalizerFor(versionUrl));
+      })
+      .catch(error => {
+        throw errors.addContext(error, Object.assign(
+          errors.contextFromUrl(versionUrl),
+          {operation: 'content'}));
+      });
+
+    this._rememberDiffableContent(versionUrl, content);
+    return content;
+  }
+
+  /**
+   * Download the raw content of a version to a file. Large content is piped
+   * straight to the file as it arrives (its hash and length are calculated
+   * along the way) rather than being held in memory, so very big PDFs or
+   * videos don't use up all our memory.
+   *
+   * The file extension and hash aren't known until the download is done, so
+   * you'll usually want to download to a temporary path, then move the file.
+   * The result is like `getVersionRawContent()`, but only has a `body` if the
+   * content was small enough to keep in memory (see `maxMemorySize`). Text
+   * content that wasn't is read back from the file to get its
+   * `normalizedHash`.
+   * @param {String} versionUrl
+   * @param {String} filePath
+   * @param {Object} [options]
+   * @param {Number} [options.maxSize=Infinity] If the content is bigger than
+   *        this many bytes, stop downloading it and fail with a
+   *        `ContentTooLargeError`.
+   * @param {Number} [options.maxMemorySize=0] Keep content in memory while
+   *        downloading (and include it in the result) if the response says
+   *        it is no bigger than this many bytes.
+   * @returns {Promise<Object>}
+   */
+  saveVersionRawContent (versionUrl, filePath, options = {}) {
+    const maxSize = options.maxSize || Infinity;
+    const maxMemorySize = options.maxMemorySize || 0;
+    const tooLarge = length => new errors.ContentTooLargeError(
+      `Content is larger than ${maxSize} bytes: '${versionUrl}'`,
+      {length, maxSize});
+
+    let file = null;
+    const content = this._requestRawContent(versionUrl, {
+      streamTo: response => {
+        const length = parseInt(response.headers['content-length'], 10);
+        if (length > maxSize) throw tooLarge(length);
+
+        if (!this._isRawContent(response) || length <= maxMemorySize) {
+          return null;
+        }
+
+        file = new HashingFileStream(filePath, maxSize, tooLarge);
+        return file;
+      }
+    })
+      .then(response => {
+        if (file) {
+          const result = rawContentResult(response, {hash: file.hash, length: file.length});
+          const contentType = response.headers['content-type'];
+          const normalize = this._normalizerFor(versionUrl);
+          if (!normalize || !isText(contentType)) return result;
+
+          // Big text files are rare, so it's OK to read them back in to get
+          // their normalized hash.
+          return fs.promises.readFile(filePath)
+            .then(body => addNormalizedHash(result, body, contentType, normalize));
+        }
+
+        const body = response.body;
+        if (body.length > maxSize) throw tooLarge(body.length);
+        return fs.promises.writeFile(filePath, body)
+          .then(() => rawContentResult(response, {
+            body,
+            hash: hash(body),
+            length: body.length
+          }, this._normalizerFor(versionUrl)));
+      })
+      .catch(error => {
+        const removed = file
+          ? fs.promises.unlink(filePath).catch(() => null)
+          : Promise.resolve();
+        return removed.then(() => {
+          throw errors.addContext(error, Object.assign(
+            errors.contextFromUrl(versionUrl),
+            {operation: 'content'}));
+        });
+      });
+
+    this._rememberDiffableContent(versionUrl, content);
+    return content;
+  }
+
+  /**
+   * Check whether a raw content response is the actual content. Error pages
+   * and redirects to the login page are small and should be handled as usual
+   * (rather than, say, streamed to a file).
+   * @param {http.IncomingMessage} response
+   * @returns {Boolean}
+   */
+  _isRawContent (response) {
+    return response.statusCode < 300
+      && !response.request.uri.href.startsWith(`${this.url}/login`);
+  }
+
+  _requestRawContent (versionUrl, options = {}) {
     if (!versionUrl.endsWith('/')) versionUrl += '/';
     const rawUrl = versionUrl + 'download';
 
-    return this.request({
+    return this.request(Object.assign({
       url: rawUrl,
+      kind: 'raw-content',
       // A version may be binary data (for PDFs, videos, etc.)
       encoding: null,
       parseBody: false
-    })
+    }, options))
       .then(response => {
         if (response.statusCode >= 400) {
-          const error = new Error(`Invalid version URL: '${versionUrl}'`);
-          error.code = 'VERSIONISTA:INVALID_URL';
-          throw error;
+          throw new errors.InvalidUrlError(`Invalid version URL: '${versionUrl}'`);
         }
-
-        if (!Buffer.isBuffer(response.body)) {
-          throw new Error(`Unexpected response: '${versionUrl}'`);
-        }
-
-        let mimeExtension = mime.extension(response.headers['content-type']);
-        const result = {
-          headers: response.headers,
-          body: response.body,
-          extension: mimeExtension ? `.${mimeExtension}` : '',
-          hash: hash(response.body),
-          length: Buffer.byteLength(response.body, 'utf8')
-        };
-        return result;
+        return response;
       });
   }
 
@@ -608,18 +944,43 @@ class Versionista {
    * Get information about a diff between two versions (including the diff
    * itself). Note this May return `null` if there is no diff (e.g. if
    * Versionista got no content/no response when it captured the version).
+   * Depending on the `diffEngine` option, the diff may be made locally.
    * @param {String} diffUrl
-   * @param {string} [diffType='only']
+   * @param {string} [diffType='only'] See `lib/diff-types.js` for options
    * @returns {Promise<VersionistaDiff>}
    */
   getVersionDiff (diffUrl, diffType) {
     diffType = diffType || 'only';
+    if (this.diffEngine === 'local') {
+      return this._getLocalDiff(diffUrl, diffType);
+    }
+
+    const diff = this._getDiffFromHost(diffUrl, diffType);
+    if (this.diffEngine !== 'fallback' || !localDiff.localDiffTypes.includes(diffType)) {
+      return diff;
+    }
+
+    return diff.catch(error => {
+      // A bad URL would be just as bad locally.
+      if (error instanceof errors.InvalidUrlError) throw error;
+      return this._getLocalDiff(diffUrl, diffType);
+    });
+  }
+
+  /**
+   * Get a diff from Versionista's diff host.
+   * @param {String} diffUrl
+   * @param {string} diffType
+   * @returns {Promise<VersionistaDiff>}
+   */
+  _getDiffFromHost (diffUrl, diffType) {
     // This is a little bit of a tortured procedure:
     // The diff URL (e.g. https://versionista.com/74273/6221569/10485802:0/)
     // redirects to another domain that holds the diff content, like:
     // http://52.90.238.162/pa/FzGDbLeKO8hXqBifWxAukL69cLIjxUaqXL3Y6xMrRf9bgM12mizFDCWhwvDGBFSI/
     let diffHost;
-    return this.request({url: diffUrl, parseBody: false})
+    const versionistaHost = url.parse(this.url).host;
+    return this.request({url: diffUrl, parseBody: false, kind: 'diff-redirect'})
       // On the diff host, there is an API that serves URLs for types of diffs:
       // http://{host}/api/ip_url/{path of diff page}/{diff type}
       // - edits: "rendered: single page" in UI
@@ -634,10 +995,10 @@ class Versionista {
         const status = response.statusCode;
 
         // Bad comparison URLs usually redirect to normal Versionista pages
-        if (status >= 400 || actualUri.host.includes('versionista.com')) {
-          const error = new Error(`Invalid diff URL: '${diffUrl}'`);
-          error.code = 'VERSIONISTA:INVALID_URL';
-          throw error;
+        const isVersionista = actualUri.host === versionistaHost ||
+          actualUri.host.endsWith(`.${versionistaHost}`);
+        if (status >= 400 || isVersionista) {
+          throw new errors.InvalidUrlError(`Invalid diff URL: '${diffUrl}'`);
         }
 
         diffHost = `${actualUri.protocol}//${actualUri.host}`;
@@ -646,16 +1007,16 @@ class Versionista {
       .then(apiUrl => this.request({
         method: 'POST',
         url: apiUrl,
+        kind: 'diff-api',
         parseBody: false,
         immediate: true
       }))
       // That API returns a URL for the actual diff content, so fetch that
       .then(response => {
         if (response.statusCode >= 400) {
-          const error = new Error(
-            `API Error from '${response.request.href}' (Diff URL: ${diffUrl}): ${response.body}`);
-          error.code = 'VERSIONISTA:API_ERROR';
-          throw error;
+          throw new errors.DiffHostError(
+            `API Error from '${response.request.href}' (Diff URL: ${diffUrl}): ${response.body}`,
+            {url: diffUrl});
         }
 
         let finalUrl = response.body;
@@ -665,39 +1026,305 @@ class Versionista {
 
         return this.request({
           url: finalUrl,
+          kind: 'diff-content',
+          // Some diffs (e.g. screenshots) may be images
+          encoding: null,
           parseBody: false,
           immediate: true
         });
       })
       .then(response => {
         // A diff can be empty in cases where the version was a removed page
-        if (!response.body) {
+        if (!response.body || !response.body.length) {
           return null;
         }
 
-        // Make hashes better for comparison by removing Versionista-specific
-        // metadata, scripting and styling
-        let hashableBody = response.body || '';
-        if (typeof hashableBody === 'string') {
-          hashableBody = hashableBody
-            .replace(versionistaSourceAdditionsPattern, '')
-            .trim();
+        return diffInfo(
+          response.body,
+          response.headers['content-type'] || 'text/html',
+          this._normalizerFor(diffUrl));
+      })
+      .catch(error => {
+        throw errors.addContext(error, Object.assign(
+          errors.contextFromUrl(diffUrl),
+          {operation: 'diff', diffType}));
+      });
+  }
+
+  /**
+   * Make a diff locally from the raw content of the two versions being
+   * compared (see `lib/local-diff.js`), rather than using the diff host.
+   * Diffs are only made for text content; for other content (e.g. PDFs),
+   * this resolves to `null`, like a diff with no content from the diff host.
+   * @param {String} diffUrl
+   * @param {string} diffType
+   * @returns {Promise<VersionistaDiff>}
+   */
+  _getLocalDiff (diffUrl, diffType) {
+    return Promise.resolve()
+      .then(() => {
+        // Diff URLs look like `{base}/{site}/{page}/{version}:{compare to}/`,
+        // where comparing to `0` means there is no earlier version.
+        const match = diffUrl.match(/^(.*)\/([^/:]+):([^/]+)\/?$/);
+        if (!match) {
+          throw new errors.InvalidUrlError(`Invalid diff URL: '${diffUrl}'`);
         }
+        const [, pageUrl, versionId, compareToId] = match;
+
+        return Promise.all([
+          this._getDiffableContent(`${pageUrl}/${versionId}/`),
+          compareToId === '0'
+            ? Promise.resolve('')
+            : this._getDiffableContent(`${pageUrl}/${compareToId}/`)
+        ]);
+      })
+      .then(([after, before]) => {
+        if (after == null || before == null) return null;
 
-        return {
-          hash: hash(hashableBody),
-          length: hashableBody.length,
-          content: response.body
+        const content = localDiff(before, after, diffType);
+        return Object.assign(
+          diffInfo(content, 'text/html', this._normalizerFor(diffUrl)),
+          {engine: 'local'});
+      })
+      .catch(error => {
+        throw errors.addContext(error, Object.assign(
+          errors.contextFromUrl(diffUrl),
+          {operation: 'diff', diffType}));
+      });
+  }
+
+  /**
+   * Get a function that applies the normalization rules for the site a URL
+   * belongs to, or null if there is no normalizer.
+   * @param {String} versionistaUrl
+   * @returns {Function}
+   */
+  _normalizerFor (versionistaUrl) {
+    if (!this.normalizer) return null;
+
+    const {siteId} = errors.contextFromUrl(versionistaUrl);
+    return (content, contentType) =>
+      this.normalizer.normalize(content, contentType, siteId);
+  }
+
+  /**
+   * Get a version's raw content as text for making local diffs, or null if it
+   * is not text or is bigger than `maxDiffableSize`. Since each version is
+   * usually compared with both the one before and the one after it, the most
+   * recently used ones are kept around.
+   * @param {String} versionUrl
+   * @returns {Promise<String>}
+   */
+  _getDiffableContent (versionUrl) {
+    versionUrl = versionUrl.replace(/\/?$/, '/');
+    let content = this._diffableContent.get(versionUrl);
+    if (content) {
+      // Move it to the end so the least recently used content goes first.
+      this._diffableContent.delete(versionUrl);
+    }
+    else {
+      content = this._downloadDiffableContent(versionUrl);
+    }
+    this._cacheDiffableContent(versionUrl, content);
+    return content;
+  }
+
+  _cacheDiffableContent (versionUrl, content) {
+    content.catch(() => {
+      if (this._diffableContent.get(versionUrl) === content) {
+        this._diffableContent.delete(versionUrl);
+      }
+    });
+
+    this._diffableContent.set(versionUrl, content);
+    if (this._diffableContent.size > this._diffableContentLimit) {
+      const oldest = this._diffableContent.keys().next().value;
+      this._diffableContent.delete(oldest);
+    }
+  }
+
+  /**
+   * Keep the text of content that was downloaded for some other reason (e.g.
+   * to save it) for making local diffs, so it doesn't have to be downloaded
+   * again. If it wasn't kept in memory, it is downloaded again when needed.
+   * @param {String} versionUrl
+   * @param {Promise<Object>} content A result from `getVersionRawContent()`
+   *        or `saveVersionRawContent()`
+   */
+  _rememberDiffableContent (versionUrl, content) {
+    versionUrl = versionUrl.replace(/\/?$/, '/');
+    if (this.diffEngine === 'versionista' || this._diffableContent.has(versionUrl)) {
+      return;
+    }
+
+    this._cacheDiffableContent(versionUrl, content.then(
+      result => {
+        if (!localDiff.canDiff(result.headers['content-type'])
+          || result.length > this.maxDiffableSize) {
+          return null;
+        }
+        return result.body
+          ? result.body.toString()
+          : this._downloadDiffableContent(versionUrl);
+      },
+      () => this._downloadDiffableContent(versionUrl)));
+  }
+
+  /**
+   * Download a version's raw content as text for making local diffs. The
+   * response's content type and length are checked before reading the body,
+   * so this resolves to null without reading all of it if the content is not
+   * text or is bigger than `maxDiffableSize`.
+   * @param {String} versionUrl
+   * @returns {Promise<String>}
+   */
+  _downloadDiffableContent (versionUrl) {
+    const maxSize = this.maxDiffableSize;
+    const tooLarge = length => new errors.ContentTooLargeError(
+      `Content is larger than ${maxSize} bytes: '${versionUrl}'`,
+      {length, maxSize});
+
+    let skipped = false;
+    let buffer = null;
+    return this._requestRawContent(versionUrl, {
+      streamTo: response => {
+        if (!this._isRawContent(response)) return null;
+
+        // Stop before reading the body if we can't use it.
+        if (!localDiff.canDiff(response.headers['content-type'])) {
+          skipped = true;
+          throw new errors.VersionistaError(
+            `Content is not text: '${versionUrl}'`);
         }
+        const length = parseInt(response.headers['content-length'], 10);
+        if (length > maxSize) throw tooLarge(length);
+
+        buffer = new BufferStream(maxSize, tooLarge);
+        return buffer;
+      }
+    })
+      .then(response => {
+        // The body is not streamed when replaying recorded requests.
+        const body = buffer ? buffer.body : response.body;
+        return localDiff.canDiff(response.headers['content-type']) && body.length <= maxSize
+          ? body.toString()
+          : null;
+      })
+      .catch(error => {
+        if (skipped || error instanceof errors.ContentTooLargeError) return null;
+        throw error;
       });
   }
+
+  /**
+   * Get a stream of all the versions in the account, optionally limited to a
+   * given time frame. Versions are emitted a page at a time, in order, and
+   * pages are only loaded as the stream is read, so a slow consumer (like a
+   * file being written) doesn't cause the whole account to pile up in memory.
+   * @param {Object} [options]
+   * @param {Date} [options.after] Only include versions after this date
+   * @param {Date} [options.before] Only include versions before this date
+   * @param {VersionistaSite[]} [options.sites] Read the pages listed in each
+   *        of these sites' `pages` property instead of every page in the
+   *        account.
+   * @param {Number} [options.parallel=5] How many pages to load at once
+   * @param {Function} [options.versionsForPage] Load the versions of a page.
+   *        Takes a `VersionistaPage` and returns a promise for an array of
+   *        versions. Defaults to `getVersions()`. This is useful for doing more
+   *        work on each page (e.g. archiving its content) before it is emitted.
+   * @returns {stream.Readable} An object mode stream of
+   *          `VersionistaVersionRecord` objects.
+   */
+  streamVersions ({after, before, sites, parallel = 5, versionsForPage} = {}) {
+    const isAfter = date => !after || !date || after <= date;
+    const isBefore = date => !before || !date || before >= date;
+    const mayHaveVersions = page =>
+      Number.isNaN(page.totalVersions) || page.totalVersions > 0;
+    const loadVersions = versionsForPage
+      || (page => this.getVersions(page.versionistaUrl));
+
+    const listPages = sites
+      ? Promise.resolve(flatten(sites.map(
+        site => (site.pages || []).map(page => ({site, page})))))
+      : Promise.all([this.getSites(), this.getAllPages()])
+        .then(([sites, pages]) => {
+          const sitesById = new Map(sites.map(site => [site.id, site]));
+          return pages
+            .filter(page => sitesById.has(page.siteId))
+            .filter(page => mayHaveVersions(page) && isAfter(page.lastChange))
+            .map(page => ({site: sitesById.get(page.siteId), page}));
+        });
+
+    let entries = null;
+    let nextEntry = 0;
+    // Records for the pages being loaded, in the order they'll be emitted.
+    const loading = [];
+    let waiting = false;
+
+    const loadEntry = ({site, page}) => {
+      const records = Promise.resolve()
+        .then(() => loadVersions(page))
+        .then(versions => versions
+          .filter(version => version.date && isAfter(version.date) && isBefore(version.date))
+          .map(version => ({site, page, version})));
+      // Errors are handled when the page's turn comes up.
+      records.catch(() => {});
+      return records;
+    };
+
+    const emitPages = () => {
+      if (waiting || output.destroyed) return;
+
+      while (loading.length < parallel && nextEntry < entries.length) {
+        loading.push(loadEntry(entries[nextEntry++]));
+      }
+      if (!loading.length) {
+        output.push(null);
+        return;
+      }
+
+      waiting = true;
+      loading[0].then(records => {
+        loading.shift();
+        waiting = false;
+        let wantsMore = true;
+        records.forEach(record => { wantsMore = output.push(record); });
+        // Otherwise, `read()` will be called again when there is room.
+        if (wantsMore) emitPages();
+      })
+        .catch(error => output.destroy(error));
+    };
+
+    const output = new stream.Readable({
+      objectMode: true,
+      read () {
+        if (entries) return emitPages();
+
+        listPages.then(listed => {
+          if (!entries) {
+            entries = listed;
+            emitPages();
+          }
+        })
+          .catch(error => output.destroy(error));
+      }
+    });
+
+    return output;
+  }
 }
 
 [
   'getSites',
+  'getPagesCsv',
+  'getAllPages',
   'getPages',
-  'getVersions',
+  'getPagesFromApi',
+  'getVersionHistory',
+  'getVersionHistoryFromApi',
+  'getVersionHistoryFromHtml',
   'getVersionRawContent',
+  'saveVersionRawContent',
   'getVersionDiff'
 ].forEach(method => {
   const implementation = Versionista.prototype[method];
@@ -715,8 +1342,123 @@ function parseVersionistaUrl (url) {
   };
 }
 
+/**
+ * Add links and dates for diffs with the previous and first versions (and the
+ * previous and first non-error versions) to a list of versions.
+ * @param {VersionistaVersion[]} versions In ascending order by date
+ * @param {String} baseUrl
+ * @returns {VersionistaVersion[]}
+ */
+function linkVersions (versions, baseUrl) {
+  const formatComparisonUrl = (version, compareTo = {versionId: 0}) =>
+    `${baseUrl}/${version.siteId}/${version.pageId}/${version.versionId}:${compareTo.versionId}/`;
+
+  let oldestVersion;
+  let previousVersion;
+  let oldestSafeVersion;
+  let previousSafeVersion;
+  return versions.map(version => {
+    if (previousVersion) {
+      version.diffWithPreviousUrl = formatComparisonUrl(version, previousVersion);
+      version.diffWithPreviousDate = version.date;
+      version.diffWithFirstUrl = formatComparisonUrl(version, oldestVersion);
+      version.diffWithFirstDate = oldestVersion.date;
+
+      if (previousSafeVersion && previousSafeVersion !== previousVersion) {
+        version.diffWithPreviousSafeUrl = formatComparisonUrl(version, previousSafeVersion);
+        version.diffWithPreviousSafeDate = version.date;
+        version.diffWithFirstSafeUrl = formatComparisonUrl(version, oldestSafeVersion);
+        version.diffWithFirstSafeDate = oldestSafeVersion.date;
+      }
+    }
+    else {
+      oldestVersion = version;
+    }
+
+    previousVersion = version;
+    if (!version.errorCode) {
+      previousSafeVersion = version;
+      oldestSafeVersion = oldestSafeVersion || version;
+    }
+
+    return version;
+  });
+}
+
+/**
+ * Get basic version data from a row in the versions table of a page's HTML.
+ * @param {HTMLTableRowElement} versionRow
+ * @param {String} pageUrl
+ * @returns {VersionistaVersion}
+ */
+function versionDataForRow (versionRow, pageUrl) {
+  const linkNode = xpathNode(versionRow, "./td[2]/a");
+  let url = linkNode && linkNode.href;
+  const hasContent = !!url;
+  if (!url) {
+    const versionId = versionRow.id.match(/^version_([^_]+)/)[1];
+    url = joinUrlPaths(pageUrl, versionId);
+  }
+
+  const dateNode = xpathNode(versionRow, "./td[2]//*[@class='gmt']");
+  if (!dateNode) {
+    throw new Error(`Could not find date field for version "${url}"`);
+  }
+  const timestamp = 1000 * parseFloat(dateNode.textContent);
+  const date = Number.isNaN(timestamp) ? null : new Date(timestamp);
+
+  let errorCode = null;
+  const errorCodeNotices = versionRow.querySelectorAll('.failpage');
+  if (errorCodeNotices.length > 1) {
+    throw new Error(`More than one error code for version "${url}"`);
+  }
+  else if (errorCodeNotices.length) {
+    errorCode = errorCodeNotices[0].title.match(/:\s+(\d{3})\D/)[1];
+  }
+
+  const ids = parseVersionistaUrl(url);
+  return Object.assign(ids, {
+    // The API has numeric version IDs, so match it.
+    versionId: parseInt(ids.versionId, 10),
+    url,
+    date,
+    hasContent,
+    errorCode
+  });
+}
+
+function parseVersionsCsv (csvString) {
+  return csvParsePromise(csvString.toString(), {
+    cast: true,
+    cast_date: true,
+    columns (names) {
+      // lower-case, replace spaces with `_`, remove parentheticals:
+      // 'Load time' -> 'load_time'
+      const result = names.map(name =>
+        name.toLowerCase().replace(/\s+\(.+?\)/g, '').replace(/\s/g, '_'));
+
+      // Validate
+      const columns = [
+        'first_seen',
+        'last_seen',
+        'response_code',
+        'size',
+        'mime_type',
+        'load_time',
+        'redirected_to'
+      ];
+      columns.forEach(name => {
+        if (!result.includes(name)) throw new Error(`Page CSV is missing required columns: ${columns.join(', ')}`);
+      });
+
+      return result;
+    }
+  });
+}
+
 /**
  * @typedef {Object} CsvPageRecord
+ * @property {String} parent_site
  * @property {String} page_url
  * @property {String} page_status Should be `"monitored" | "newfound" | "paused"`
  * @property {Number} versions
@@ -729,6 +1471,78 @@ function parseVersionistaUrl (url) {
  * @property {String} last_change URL to the most recent change comparison
  */
 
+/**
+ * Get the sites listed in a CSV of pages, keyed by site ID.
+ * @param {CsvPageRecord[]} csv
+ * @param {String} baseUrl Base URL of Versionista
+ * @returns {Map<String,VersionistaSite>}
+ */
+function sitesFromPagesCsv (csv, baseUrl) {
+  const sites = new Map();
+  for (const page of csv) {
+    if (!page.last_version) continue;
+
+    const urlInfo = parseVersionistaUrl(page.last_version);
+    let site = sites.get(urlInfo.siteId);
+    if (!site) {
+      site = {
+        id: urlInfo.siteId,
+        name: page.parent_site,
+        url: `${baseUrl}/${urlInfo.siteId}/`,
+        lastChange: page.last_new
+      };
+      sites.set(urlInfo.siteId, site);
+    }
+
+    if (site.lastChange < page.last_new) {
+      site.lastChange = page.last_new;
+    }
+  }
+
+  return sites;
+}
+
+/**
+ * Get the pages of a site from a CSV of pages. Pages are only identified in
+ * the CSV by the URL of their latest version, so pages with no versions are
+ * left out (there's nothing to get from them anyway). If the CSV says a page
+ * has versions but doesn't link to one, this returns `null` to indicate the
+ * CSV is not enough.
+ * @param {CsvPageRecord[]} csv
+ * @param {VersionistaSite} site
+ * @param {String} baseUrl Base URL of Versionista
+ * @returns {VersionistaPage[]}
+ */
+function pagesFromPagesCsv (csv, site, baseUrl) {
+  const pages = [];
+  for (const page of csv) {
+    if (!page.last_version) {
+      // We can't tell what site a page without a version URL belongs to
+      // except by name, so consider the CSV incomplete for any site with that
+      // name if the page should have versions.
+      if (page.versions !== 0 && page.parent_site === site.name) return null;
+      continue;
+    }
+
+    const urlInfo = parseVersionistaUrl(page.last_version);
+    if (urlInfo.siteId !== site.id) continue;
+
+    pages.push({
+      id: urlInfo.pageId,
+      siteId: site.id,
+      url: page.page_url.toString(),
+      versionistaUrl: `${baseUrl}/${site.id}/${urlInfo.pageId}/`,
+      title: page.title === '' ? undefined : page.title.toString(),
+      lastChange: page.last_new || undefined,
+      lastChecked: page.last_checked || undefined,
+      dateAdded: page.added,
+      totalVersions: page.versions
+    });
+  }
+
+  return pages;
+}
+
 /**
  * Parse a CSV that lists high level info about the pages in a site or account.
  * @param {string} csvString The CSV to parse
@@ -772,6 +1586,211 @@ function parsePagesCsv(csvString) {
   });
 }
 
+/**
+ * Determine whether Versionista sent us to its login page instead of what we
+ * asked for.
+ * @param {HttpResponse} response
+ * @param {String} baseUrl
+ * @param {String} [kind] The kind of request (see `client.js`)
+ * @returns {Boolean}
+ */
+function isLoggedOutResponse (response, baseUrl, kind) {
+  const finalUrl = response.request.uri.href;
+  if (!finalUrl.startsWith(baseUrl)) return false;
+
+  const loginUrl = `${baseUrl}/login`;
+  if (finalUrl.startsWith(loginUrl)) return true;
+
+  const location = response.headers.location;
+  if (location && url.resolve(finalUrl, location).startsWith(loginUrl)) {
+    return true;
+  }
+
+  // Check for the login form (not just text like "log in", which archived
+  // content could easily have). Raw content is whatever page was captured,
+  // which could have a login form of its own, so only trust the redirect.
+  const contentType = response.headers['content-type'] || '';
+  if (kind !== 'raw-content' && contentType.startsWith('text/html') && response.body != null) {
+    const body = response.body.toString();
+    return /<form[^>]+action="[^"]*\/login"/i.test(body)
+      && /<input[^>]+name="pw"/i.test(body);
+  }
+
+  return false;
+}
+
+/**
+ * Describe the content of a diff. Hashes are calculated without the metadata,
+ * scripting, and styling Versionista adds, so they are better for comparison.
+ * @param {String|Buffer} body
+ * @param {String} contentType
+ * @param {Function} [normalize] Normalizes text for `normalizedHash`
+ * @returns {VersionistaDiff}
+ */
+function diffInfo (body, contentType, normalize) {
+  const mimeExtension = mime.extension(contentType);
+  let content = body;
+  let hashableBody = content;
+  const textDiff = isTextDiff(body, contentType, mimeExtension);
+  if (textDiff) {
+    content = content.toString();
+    hashableBody = content
+      .replace(versionistaSourceAdditionsPattern, '')
+      .trim();
+  }
+
+  const result = {
+    hash: hash(hashableBody),
+    length: hashableBody.length,
+    content,
+    contentType,
+    extension: mimeExtension ? `.${mimeExtension}` : '.html'
+  };
+
+  // Treat text diffs without a usable content type as HTML.
+  let hashableType = contentType;
+  if (textDiff && !isText(contentType)) {
+    hashableType = 'text/html';
+    result.extension = '.html';
+  }
+  return addNormalizedHash(result, hashableBody, hashableType, normalize);
+}
+
+/**
+ * Determine whether a diff is text (and should have Versionista's markup
+ * removed before hashing). Diffs are almost always HTML, so if there's no
+ * content type we recognize, assume they are text unless they look binary.
+ * @param {Buffer} body
+ * @param {String} contentType
+ * @param {String|false} mimeExtension The extension for `contentType`
+ * @returns {Boolean}
+ */
+function isTextDiff (body, contentType, mimeExtension) {
+  if (isText(contentType)) return true;
+  if (mimeExtension && mimeExtension !== 'bin') return false;
+  return !body.slice(0, 1024).includes(0);
+}
+
+/**
+ * Check whether a content type is for text (HTML, plain text, XML, JSON, etc.)
+ * @param {String} contentType
+ * @returns {Boolean}
+ */
+function isText (contentType) {
+  return /^text\/|json|xml/.test(contentType || '');
+}
+
+/**
+ * If there is a normalizer and the content is text, set `normalizedHash` on
+ * a result: the hash of the content after normalization. (Like diff hashes,
+ * leading and trailing whitespace is ignored.)
+ * @param {Object} result
+ * @param {String|Buffer} content
+ * @param {String} contentType
+ * @param {Function} [normalize]
+ * @returns {Object} The result
+ */
+function addNormalizedHash (result, content, contentType, normalize) {
+  if (normalize && isText(contentType)) {
+    result.normalizedHash = hash(normalize(content, contentType).trim());
+  }
+  return result;
+}
+
+function rawContentResult (response, details, normalize) {
+  const mimeExtension = mime.extension(response.headers['content-type']);
+  const result = Object.assign({
+    headers: response.headers,
+    extension: mimeExtension ? `.${mimeExtension}` : ''
+  }, details);
+  if (details.body) {
+    addNormalizedHash(result, details.body, response.headers['content-type'], normalize);
+  }
+  return result;
+}
+
+/**
+ * A writable stream that collects everything written to it in memory, but
+ * fails if it gets too big.
+ */
+class BufferStream extends stream.Writable {
+  /**
+   * @param {Number} maxSize Fail if more than this many bytes are written.
+   * @param {Function} tooLarge Creates the error to fail with (it is called
+   *        with the length so far).
+   */
+  constructor (maxSize, tooLarge) {
+    super();
+    this.length = 0;
+    this._chunks = [];
+    this._maxSize = maxSize;
+    this._tooLarge = tooLarge;
+  }
+
+  get body () {
+    return Buffer.concat(this._chunks, this.length);
+  }
+
+  _write (chunk, encoding, callback) {
+    this.length += chunk.length;
+    if (this.length > this._maxSize) {
+      return callback(this._tooLarge(this.length));
+    }
+
+    this._chunks.push(chunk);
+    callback();
+  }
+}
+
+/**
+ * A writable stream that saves data to a file while calculating its SHA-256
+ * hash and length. Once it has finished, the `hash` and `length` properties
+ * are set.
+ */
+class HashingFileStream extends stream.Writable {
+  /**
+   * @param {String} filePath
+   * @param {Number} maxSize Fail if more than this many bytes are written.
+   * @param {Function} tooLarge Creates the error to fail with (it is called
+   *        with the length so far).
+   */
+  constructor (filePath, maxSize, tooLarge) {
+    super();
+    this.hash = null;
+    this.length = 0;
+    this._maxSize = maxSize;
+    this._tooLarge = tooLarge;
+    this._hasher = crypto.createHash('sha256');
+    this._file = fs.createWriteStream(filePath);
+    this._file.on('error', error => this.destroy(error));
+  }
+
+  _write (chunk, encoding, callback) {
+    this.length += chunk.length;
+    if (this.length > this._maxSize) {
+      return callback(this._tooLarge(this.length));
+    }
+
+    this._hasher.update(chunk);
+    if (this._file.write(chunk)) {
+      callback();
+    }
+    else {
+      this._file.once('drain', () => callback());
+    }
+  }
+
+  _final (callback) {
+    this.hash = this._hasher.digest('hex');
+    this._file.end(callback);
+  }
+
+  _destroy (error, callback) {
+    this._file.destroy();
+    callback(error);
+  }
+}
+
 function hash (text) {
   return crypto.createHash('sha256').update(text).digest('hex');
 }
@@ -800,62 +1819,39 @@ function oneLine (string) {
 
 /**
  * Asserts that an object implements a given schema or throws an error if not.
- * The types are always strings (similar to those returned by `typeof`, but
- * can differentiate 'object' and 'array'). If the type ends with '?', it will
- * only be checked if the property is present. If the type is null or
- * undefined, then the presence of the property, but not its type, will be
- * checked. The schema defines a minimum set of properties that the object must
- * support -- the object can have other properties not present in the schema.
+ * See `SchemaMonitor.checkSchema()` for details on schemas. The schema defines
+ * a minimum set of properties that the object must support -- the object can
+ * have other properties not present in the schema.
  * @param {object} schema An object mapping keys to types, e.g.
  *        `{name: 'string', age: 'number'}`
  * @param {any} object Object that is expected to implement the schema
  * @param {string} [message] Optional message for the error that will be thrown
  *        if the schema does not match. If the message has the text '$ERROR',
- *        '$ERROR' will be replaced with detailed information.
+ *        '$ERROR' will be replaced with detailed information. The error will
+ *        have the code `VERSIONISTA:SCHEMA_MISMATCH`.
  */
 function assertSchema(schema, object, message = null) {
-  const keys = [
-    ...Object.getOwnPropertyNames(schema),
-    ...Object.getOwnPropertySymbols(schema)
-  ];
-
-  keys.forEach(key => {
-    let type = schema[key];
-    let optional = false;
-    if ((typeof type === 'string')) {
-      if (type.endsWith('?')) {
-        optional = true;
-        type = type.slice(0, -1);
-      }
-      type = type.split('|').map(item => item.trim()).filter(item => !!item);
-    }
-
-    if (!(key in object)) {
-      if (optional) return;
-
-      const error = `Object is missing property '${key}'`;
-      throw new Error(message ? message.replace('$ERROR', error) : error);
-    }
-
-    if (type && !isType(object[key], type)) {
-      const error = `The '${key}' property of object was not a ${type}`;
-      throw new Error(message ? message.replace('$ERROR', error) : error);
-    }
-  });
+  const issue = SchemaMonitor.checkSchema(schema, object)
+    .find(issue => issue.kind !== 'unexpected');
+  if (issue) {
+    throw SchemaMonitor.schemaError(issue, message);
+  }
 }
 
-/**
- * Check whether a value is of a given type. This can handle more types than
- * 'typeof' can (it differentiates 'array' and 'object', for example).
- * @param {any} value Value to check type of.
- * @param {string} type Name of type to check that value is.
- * @returns {boolean}
- */
-function isType(value, type) {
-  if (Array.isArray(type)) return type.some(item => isType(value, item));
-  else if (type === 'array') return Array.isArray(value);
-  else if (type === 'object' && Array.isArray(value)) return false;
-  return typeof value === type;
-}
+Versionista.diffEngines = diffEngines;
+
+// Make error classes available for `instanceof` checks.
+Object.assign(Versionista, {
+  VersionistaError: errors.VersionistaError,
+  AuthenticationError: errors.AuthenticationError,
+  SchemaMismatchError: errors.SchemaMismatchError,
+  InvalidUrlError: errors.InvalidUrlError,
+  DiffHostError: errors.DiffHostError,
+  ContentTooLargeError: errors.ContentTooLargeError,
+  TextExtractionError: errors.TextExtractionError,
+  HttpError: errors.HttpError,
+  RateLimitedError: errors.RateLimitedError,
+  NetworkError: errors.NetworkError
+});
 
 module.exports = Versionista;
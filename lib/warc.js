@@ -0,0 +1,386 @@
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const zlib = require('zlib');
+const uuid = require('./uuid.js');
+
+const WARC_VERSION = 'WARC/1.0';
+const CRLF = '\r\n';
+
+// Headers that describe how the response was transferred to us rather than
+// the response itself. The body we have is already de-chunked, and its length
+// is filled in separately.
+const transferHeaders = ['transfer-encoding', 'connection', 'keep-alive', 'content-length'];
+
+/**
+ * @typedef {Object} WarcResponse
+ * @property {String} targetUri The URL that was captured
+ * @property {Date} date When it was captured
+ * @property {Number} status HTTP status code
+ * @property {Object} [headers] HTTP response headers. Headers with several
+ *           values can be arrays.
+ * @property {Buffer|String} [body]
+ * @property {String} [bodyPath] Path of a file holding the body. Use this
+ *           instead of `body` for big bodies; the file is streamed into the
+ *           WARC rather than read into memory.
+ * @property {Object} [fields] Additional WARC header fields
+ */
+
+/**
+ * Writes WARC (ISO 28500) files. Records are written to the stream in the
+ * order they are added, but only as fast as the stream can take them; wait
+ * for `ready()` before adding lots more. If `gzip` is set, each record is
+ * compressed as a separate gzip member, which is what tools expect of
+ * `.warc.gz` files.
+ */
+class WarcWriter {
+  /**
+   * Create a WARC writer.
+   * @param {stream.Writable} stream Where to write the WARC
+   * @param {Object} [options]
+   * @param {Boolean} [options.gzip=false] Compress each record
+   */
+  constructor (stream, options = {}) {
+    this.stream = stream;
+    this.gzip = !!options.gzip;
+    this._writing = Promise.resolve();
+  }
+
+  /**
+   * Write a `warcinfo` record describing the file. This should be the first
+   * record.
+   * @param {Object} info Fields of the record, e.g. `{software: 'x'}`
+   * @param {String} [filename]
+   * @returns {String} The ID of the record
+   */
+  writeInfo (info, filename) {
+    const fields = {'WARC-Type': 'warcinfo'};
+    if (filename) {
+      fields['WARC-Filename'] = filename;
+    }
+    return this.writeRecord(fields, 'application/warc-fields', formatFields(info));
+  }
+
+  /**
+   * Write a `response` record with a complete HTTP response.
+   * @param {WarcResponse} response
+   * @returns {String} The ID of the record
+   */
+  writeResponse (response) {
+    const body = response.bodyPath
+      ? {path: response.bodyPath}
+      : toBuffer(response.body || '');
+
+    const headerLines = [];
+    Object.entries(response.headers || {}).forEach(([name, value]) => {
+      if (value == null || transferHeaders.includes(name.toLowerCase())) return;
+      // Repeated headers (like `set-cookie`) get a line for each value.
+      [].concat(value).forEach(item => headerLines.push(`${name}: ${item}`));
+    });
+
+    const fields = Object.assign({
+      'WARC-Record-ID': newRecordId(),
+      'WARC-Type': 'response',
+      'WARC-Target-URI': response.targetUri,
+      'WARC-Date': formatDate(response.date),
+      // Filled in once the body has been read.
+      'WARC-Payload-Digest': null
+    }, response.fields);
+
+    this._queue(() => partLength(body).then(length => {
+      const statusText = http.STATUS_CODES[response.status] || '';
+      const head = [`HTTP/1.1 ${response.status} ${statusText}`.trim()]
+        .concat(headerLines, [`content-length: ${length}`])
+        .join(CRLF) + CRLF + CRLF;
+
+      return this._writeBlock(
+        fields,
+        'application/http;msgtype=response',
+        [Buffer.from(head), body],
+        1);
+    }));
+
+    return fields['WARC-Record-ID'];
+  }
+
+  /**
+   * Write a `metadata` record about a URL or another record.
+   * @param {Object} options
+   * @param {String} options.targetUri
+   * @param {Date} options.date
+   * @param {Object} options.fields Metadata to record. Nested objects are
+   *        flattened into dotted keys, e.g. `diff.hash`.
+   * @param {String} [options.refersTo] ID of the record this describes
+   * @returns {String} The ID of the record
+   */
+  writeMetadata (options) {
+    const header = {
+      'WARC-Type': 'metadata',
+      'WARC-Target-URI': options.targetUri,
+      'WARC-Date': formatDate(options.date)
+    };
+    if (options.refersTo) {
+      header['WARC-Concurrent-To'] = options.refersTo;
+    }
+    return this.writeRecord(header, 'application/warc-fields', formatFields(options.fields));
+  }
+
+  /**
+   * Write a record. You should usually use one of the more specific methods.
+   * @param {Object} fields WARC header fields. `WARC-Record-ID`, `WARC-Date`,
+   *        `WARC-Block-Digest`, and `Content-Length` are filled in if missing.
+   * @param {String} contentType
+   * @param {Buffer|String} block The content of the record
+   * @returns {String} The ID of the record
+   */
+  writeRecord (fields, contentType, block) {
+    fields = Object.assign({'WARC-Record-ID': newRecordId()}, fields);
+    this._queue(() => this._writeBlock(fields, contentType, [toBuffer(block)]));
+    return fields['WARC-Record-ID'];
+  }
+
+  // Add a step to the queue of writes. Failures are reported by `ready()` and
+  // `end()`.
+  _queue (write) {
+    this._writing = this._writing.then(write);
+    this._writing.catch(() => {});
+  }
+
+  // Write a record whose block is made of several parts, each either a buffer
+  // or a file (`{path}`). If `payloadStart` is set, the parts from that index
+  // on are the payload, and their digest is filled in as the record's
+  // `WARC-Payload-Digest`.
+  _writeBlock (fields, contentType, parts, payloadStart) {
+    return digestParts(parts, payloadStart).then(digests => {
+      // The record ID comes first even though it's in `fields`.
+      const header = Object.assign({
+        'WARC-Record-ID': null,
+        'WARC-Date': formatDate(new Date())
+      }, fields, {
+        'Content-Type': contentType,
+        'WARC-Block-Digest': digests.block,
+        'Content-Length': digests.length
+      });
+      if (payloadStart != null) {
+        header['WARC-Payload-Digest'] = digests.payload;
+      }
+
+      const headerText = [WARC_VERSION]
+        .concat(Object.entries(header)
+          .filter(([name, value]) => value != null)
+          .map(([name, value]) => `${name}: ${value}`))
+        .join(CRLF) + CRLF + CRLF;
+
+      const allParts = [Buffer.from(headerText), ...parts, Buffer.from(CRLF + CRLF)];
+      if (!this.gzip) {
+        return writeParts(this.stream, allParts);
+      }
+
+      // Each record is a separate gzip member.
+      const compressor = zlib.createGzip();
+      const compressed = new Promise((resolve, reject) => {
+        const onError = error => {
+          compressor.unpipe(this.stream);
+          reject(error);
+        };
+        this.stream.once('error', onError);
+        compressor.once('error', onError);
+        compressor.once('end', () => {
+          this.stream.removeListener('error', onError);
+          resolve();
+        });
+        compressor.pipe(this.stream, {end: false});
+      });
+      return writeParts(compressor, allParts)
+        .then(() => compressor.end())
+        .then(() => compressed)
+        .then(() => waitForDrain(this.stream));
+    });
+  }
+
+  /**
+   * Wait until all the records added so far have been handed to the stream
+   * and it is ready for more.
+   * @returns {Promise}
+   */
+  ready () {
+    return this._writing;
+  }
+
+  /**
+   * Finish writing. Resolves when everything has been written.
+   * @param {Boolean} [endStream=true] Whether to end the underlying stream.
+   *        (You might not want to end stdout, for example.)
+   * @returns {Promise}
+   */
+  end (endStream = true) {
+    return this._writing.then(() => new Promise((resolve, reject) => {
+      this.stream.once('error', reject);
+      if (endStream) {
+        this.stream.end(resolve);
+      }
+      else {
+        this.stream.write('', resolve);
+      }
+    }));
+  }
+}
+
+// Write to a stream, resolving once it is ready for more.
+function writeToStream (stream, data) {
+  if (stream.write(data)) return Promise.resolve();
+  return waitForDrain(stream);
+}
+
+// Resolve once a stream is ready for more data.
+function waitForDrain (stream) {
+  return new Promise((resolve, reject) => {
+    if (!stream.writableNeedDrain) return resolve();
+
+    const onDrain = () => {
+      stream.removeListener('error', onError);
+      resolve();
+    };
+    const onError = error => {
+      stream.removeListener('drain', onDrain);
+      reject(error);
+    };
+    stream.once('drain', onDrain);
+    stream.once('error', onError);
+  });
+}
+
+// Write buffers and files (`{path}`) to a stream in order, without ending it.
+// Buffers next to each other are written together.
+function writeParts (stream, parts) {
+  const merged = parts.reduce((result, part) => {
+    const last = result[result.length - 1];
+    if (Buffer.isBuffer(part) && Buffer.isBuffer(last)) {
+      result[result.length - 1] = Buffer.concat([last, part]);
+    }
+    else {
+      result.push(part);
+    }
+    return result;
+  }, []);
+
+  return merged.reduce((previous, part) => previous.then(() => {
+    if (Buffer.isBuffer(part)) {
+      return writeToStream(stream, part);
+    }
+    return readFileChunks(part.path, chunk => writeToStream(stream, chunk));
+  }), Promise.resolve());
+}
+
+// Read a file a chunk at a time. `onChunk` can return a promise to wait for
+// before the next chunk is read.
+function readFileChunks (filePath, onChunk) {
+  return new Promise((resolve, reject) => {
+    const file = fs.createReadStream(filePath);
+    file.on('data', chunk => {
+      const result = onChunk(chunk);
+      if (result && result.then) {
+        file.pause();
+        result.then(() => file.resume(), error => {
+          file.destroy();
+          reject(error);
+        });
+      }
+    });
+    file.once('end', resolve);
+    file.once('error', reject);
+  });
+}
+
+// Get the length of a buffer or file (`{path}`).
+function partLength (part) {
+  if (Buffer.isBuffer(part)) return Promise.resolve(part.length);
+  return fs.promises.stat(part.path).then(stat => stat.size);
+}
+
+// Get the total length and digest of several buffers and files (`{path}`)
+// and, if `payloadStart` is set, the digest of the parts from that index on.
+// Files are read a chunk at a time.
+function digestParts (parts, payloadStart) {
+  const block = crypto.createHash('sha1');
+  const payload = crypto.createHash('sha1');
+  let length = 0;
+  const update = (chunk, index) => {
+    block.update(chunk);
+    if (payloadStart != null && index >= payloadStart) payload.update(chunk);
+    length += chunk.length;
+  };
+
+  return parts.reduce((previous, part, index) => previous.then(() => {
+    if (Buffer.isBuffer(part)) return update(part, index);
+    return readFileChunks(part.path, chunk => update(chunk, index));
+  }), Promise.resolve())
+    .then(() => ({
+      length,
+      block: formatDigest(block.digest()),
+      payload: formatDigest(payload.digest())
+    }));
+}
+
+function toBuffer (data) {
+  return Buffer.isBuffer(data) ? data : Buffer.from(data);
+}
+
+function newRecordId () {
+  return `<urn:uuid:${uuid()}>`;
+}
+
+// Format a date as WARC 1.0 requires (W3C-ISO8601 with no fractional seconds)
+function formatDate (date) {
+  return (date || new Date()).toISOString().replace(/\.\d+Z$/, 'Z');
+}
+
+// `application/warc-fields` is like HTTP headers.
+function formatFields (fields, prefix = '') {
+  return Object.entries(fields || {})
+    .filter(([name, value]) => value != null && value !== '')
+    .map(([name, value]) => {
+      if (typeof value === 'object' && !(value instanceof Date)) {
+        return formatFields(value, `${prefix}${name}.`);
+      }
+      const text = value instanceof Date ? value.toISOString() : value.toString();
+      return `${prefix}${name}: ${text.replace(/[\r\n]+/g, ' ')}${CRLF}`;
+    })
+    .join('');
+}
+
+// WARC digests are conventionally SHA-1 in base 32.
+function digest (data) {
+  return formatDigest(crypto.createHash('sha1').update(data).digest());
+}
+
+function formatDigest (hash) {
+  return `sha1:${base32(hash)}`;
+}
+
+const base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32 (buffer) {
+  let result = '';
+  let bits = 0;
+  let value = 0;
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      result += base32Alphabet[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    result += base32Alphabet[(value << (5 - bits)) & 31];
+  }
+  return result;
+}
+
+WarcWriter.formatDate = formatDate;
+WarcWriter.digest = digest;
+
+module.exports = WarcWriter;
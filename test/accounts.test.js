@@ -0,0 +1,47 @@
+'use strict';
+
+const assert = require('assert');
+const {parseAccounts} = require('../lib/accounts');
+
+describe('accounts', function () {
+  const env = {FIRST_PASSWORD: 'abc', SECOND_PASSWORD: 'xyz'};
+
+  it('reads passwords from the environment and maps client options', function () {
+    const accounts = parseAccounts({
+      accounts: [
+        {name: 'first', email: 'first@example.com', passwordEnv: 'FIRST_PASSWORD', rate: 60, parallel: '2'},
+        {email: 'second@example.com', passwordEnv: 'SECOND_PASSWORD'}
+      ]
+    }, env);
+
+    assert.deepStrictEqual(accounts, [
+      {
+        name: 'first',
+        email: 'first@example.com',
+        password: 'abc',
+        client: {maxPerMinute: 60, maxSockets: 2}
+      },
+      {
+        name: 'second',
+        email: 'second@example.com',
+        password: 'xyz',
+        client: {}
+      }
+    ]);
+  });
+
+  it('throws if a password is not available', function () {
+    assert.throws(
+      () => parseAccounts([{email: 'a@example.com', passwordEnv: 'MISSING'}], env),
+      error => error.code === 'VERSIONISTA:INVALID_ACCOUNTS' && /MISSING/.test(error.message));
+  });
+
+  it('throws if account names are not unique', function () {
+    assert.throws(
+      () => parseAccounts([
+        {email: 'a@example.com', passwordEnv: 'FIRST_PASSWORD'},
+        {email: 'a@example.org', passwordEnv: 'SECOND_PASSWORD'}
+      ], env),
+      error => error.code === 'VERSIONISTA:INVALID_ACCOUNTS');
+  });
+});
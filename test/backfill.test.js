@@ -0,0 +1,155 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const BackfillPlan = require('../lib/backfill-plan');
+const MockVersionista = require('./support/mock-versionista');
+const {runScript, removeDirectory, readJsonStream} = require('./support/scripts');
+const fixture = require('./fixtures/account.json');
+
+const backfill = (server, args) => runScript(server, 'backfill', args);
+
+describe('BackfillPlan.chunkSites', function () {
+  const page = (id, totalVersions) => ({id, totalVersions});
+
+  it('balances chunks by estimated versions', function () {
+    const sites = [
+      {id: 'a', pages: [page('1', 6), page('2', 1), page('3', 1)]},
+      {id: 'b', pages: [page('4', 2), page('5', 2), page('6', 2), page('7', NaN)]}
+    ];
+    const chunks = BackfillPlan.chunkSites(sites, 10);
+
+    assert.strictEqual(chunks.length, 2);
+    assert.deepStrictEqual(
+      chunks.map(chunk => chunk.map(site => [site.id, site.pages.map(page => page.id)])),
+      [
+        [['a', ['1', '2', '3']]],
+        [['b', ['4', '5', '6', '7']]]
+      ]);
+  });
+
+  it('splits sites across chunks without changing the originals', function () {
+    const sites = [{id: 'a', name: 'Site A', pages: [page('1', 5), page('2', 5)]}];
+    const chunks = BackfillPlan.chunkSites(sites, 5);
+
+    assert.strictEqual(chunks.length, 2);
+    assert.strictEqual(chunks[0][0].name, 'Site A');
+    assert.deepStrictEqual(chunks[1][0].pages.map(page => page.id), ['2']);
+    assert.strictEqual(sites[0].pages.length, 2);
+  });
+});
+
+describe('backfill', function () {
+  this.timeout(30000);
+
+  let server;
+  let outputDirectory;
+  let accountDirectory;
+
+  beforeEach(function () {
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'backfill-'));
+    accountDirectory = path.join(outputDirectory, 'test-account');
+    server = new MockVersionista(fixture);
+    return server.start();
+  });
+
+  afterEach(function () {
+    removeDirectory(outputDirectory);
+    return server.stop();
+  });
+
+  const timeFrame = ['--after', '2017-01-01T00:00:00Z', '--before', '2017-12-31T00:00:00Z'];
+
+  it('scrapes every chunk and merges the results', function () {
+    return backfill(server, [...timeFrame, '--output', outputDirectory, '--chunk-size', '2'])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const plan = JSON.parse(fs.readFileSync(path.join(accountDirectory, 'backfill-plan.json'), 'utf8'));
+        assert.ok(plan.chunks.length > 1, 'There should be several chunks');
+        assert.ok(plan.chunks.every(chunk => chunk.status === 'done'));
+
+        const versions = readJsonStream(path.join(accountDirectory, 'metadata.json'));
+        assert.strictEqual(versions.length, 5);
+        versions.forEach(version => {
+          assert.strictEqual(version.account, 'test-account');
+          assert.ok(fs.existsSync(path.join(outputDirectory, version.filePath)), version.filePath);
+        });
+      });
+  });
+
+  it('continues where it left off', function () {
+    return backfill(server, [...timeFrame, '--output', outputDirectory, '--chunk-size', '2', '--max-chunks', '1'])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.ok(!fs.existsSync(path.join(accountDirectory, 'metadata.json')));
+
+        server.clearRequests();
+        return backfill(server, [...timeFrame, '--output', outputDirectory, '--chunk-size', '2']);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.ok(
+          !server.requests.some(request => request.path === '/download/urls.csv'),
+          'Candidate pages should not be loaded again');
+
+        const versions = readJsonStream(path.join(accountDirectory, 'metadata.json'));
+        assert.strictEqual(versions.length, 5);
+      });
+  });
+
+  it('does not count output left by an earlier attempt at a chunk', function () {
+    const staleMetadata = path.join(accountDirectory, 'metadata-chunk-1.json');
+    return backfill(server, [...timeFrame, '--output', outputDirectory, '--chunk-size', '2', '--max-chunks', '1'])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        // Make the next chunk fail, but leave output behind as if an earlier
+        // attempt at it had written some.
+        fs.unlinkSync(path.join(accountDirectory, 'pages-test-account-1.json'));
+        fs.writeFileSync(staleMetadata, '{}\n');
+        return backfill(server, [...timeFrame, '--output', outputDirectory, '--chunk-size', '2']);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(!fs.existsSync(staleMetadata));
+
+        const plan = JSON.parse(fs.readFileSync(path.join(accountDirectory, 'backfill-plan.json'), 'utf8'));
+        assert.strictEqual(plan.chunks[1].status, 'pending');
+      });
+  });
+
+  it('removes files from the old plan when replanning', function () {
+    return backfill(server, [...timeFrame, '--output', outputDirectory, '--chunk-size', '2'])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        return backfill(server, [...timeFrame, '--output', outputDirectory, '--chunk-size', '2', '--max-chunks', '1', '--replan']);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const plan = JSON.parse(fs.readFileSync(path.join(accountDirectory, 'backfill-plan.json'), 'utf8'));
+        assert.deepStrictEqual(
+          plan.chunks.map(chunk => chunk.status),
+          ['done'].concat(plan.chunks.slice(1).map(() => 'pending')));
+        assert.ok(fs.existsSync(path.join(accountDirectory, 'metadata-chunk-0.json')));
+        assert.ok(!fs.existsSync(path.join(accountDirectory, 'metadata-chunk-1.json')));
+        assert.ok(!fs.existsSync(path.join(accountDirectory, 'checkpoint-1.json')));
+        assert.ok(!fs.existsSync(path.join(accountDirectory, 'metadata.json')));
+      });
+  });
+
+  it('refuses to continue a backfill for a different time frame', function () {
+    return backfill(server, [...timeFrame, '--output', outputDirectory, '--max-chunks', '1'])
+      .then(() => backfill(server, [
+        '--after', '2017-02-01T00:00:00Z',
+        '--before', '2017-12-31T00:00:00Z',
+        '--output', outputDirectory
+      ]))
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(result.stderr.includes('--replan'), result.stderr);
+      });
+  });
+});
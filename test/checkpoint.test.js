@@ -0,0 +1,122 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Checkpoint = require('../lib/checkpoint');
+const {removeDirectory} = require('./support/scripts');
+
+describe('Checkpoint', function () {
+  let directory;
+  let filePath;
+
+  beforeEach(function () {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'versionista-checkpoint-'));
+    filePath = path.join(directory, 'checkpoint.json');
+  });
+
+  afterEach(function () {
+    removeDirectory(directory);
+  });
+
+  function page (id, versionCount = 1) {
+    const versions = [];
+    for (let i = 0; i < versionCount; i++) {
+      versions.push({versionId: `${id}-${i}`, date: new Date(Date.UTC(2017, 0, i + 1))});
+    }
+    return {versionistaUrl: `https://versionista.com/1/${id}/`, versions};
+  }
+
+  it('saves and loads completed pages', function () {
+    const startTime = new Date('2017-02-01T00:00:00Z');
+    const checkpoint = new Checkpoint(filePath, {run: {startTime}});
+    const first = page(1, 2);
+    const second = page(2);
+
+    return checkpoint.recordPage(first)
+      .then(() => checkpoint.recordPage(second))
+      .then(() => checkpoint.save())
+      .then(() => Checkpoint.load(filePath))
+      .then(loaded => {
+        assert.deepStrictEqual(loaded.run, {startTime});
+        assert.strictEqual(loaded.completedPages, 2);
+        return Promise.all([
+          loaded.getPage(first),
+          loaded.getPage(second),
+          loaded.getPage(page(3))
+        ]);
+      })
+      .then(([firstResults, secondResults, missing]) => {
+        assert.deepStrictEqual(firstResults.versions, first.versions);
+        assert.deepStrictEqual(firstResults.errorVersions, []);
+        assert.deepStrictEqual(secondResults.versions, second.versions);
+        assert.strictEqual(missing, undefined);
+      });
+  });
+
+  it('appends only pages completed since the last save', function () {
+    const checkpoint = new Checkpoint(filePath, {run: {}});
+
+    return checkpoint.recordPage(page(1))
+      .then(() => checkpoint.save())
+      .then(() => {
+        // Change the saved page in place; a full save would undo this.
+        const text = fs.readFileSync(filePath, 'utf8');
+        fs.writeFileSync(filePath, text.replace('"1-0"', '"9-0"'));
+        return checkpoint.recordPage(page(2));
+      })
+      .then(() => checkpoint.save())
+      .then(() => {
+        const text = fs.readFileSync(filePath, 'utf8');
+        assert.ok(text.includes('"9-0"'));
+        assert.strictEqual(text.split('\n').length, 4);
+        return checkpoint.getPage(page(2));
+      })
+      .then(results => {
+        assert.strictEqual(results.page, page(2).versionistaUrl);
+      });
+  });
+
+  it('drops a partially written last page when loading', function () {
+    const checkpoint = new Checkpoint(filePath, {run: {}});
+
+    return checkpoint.recordPage(page(1))
+      .then(() => checkpoint.save())
+      .then(() => {
+        fs.appendFileSync(filePath, '{"page":"https://versionista.com/1/2/","vers');
+        return Checkpoint.load(filePath);
+      })
+      .then(loaded => {
+        assert.strictEqual(loaded.completedPages, 1);
+        return loaded.recordPage(page(3)).then(() => loaded.save());
+      })
+      .then(() => Checkpoint.load(filePath))
+      .then(loaded => {
+        assert.strictEqual(loaded.completedPages, 2);
+        return loaded.getPage(page(3));
+      })
+      .then(results => {
+        assert.deepStrictEqual(results.versions, page(3).versions);
+      });
+  });
+
+  it('copies saved pages when moved', function () {
+    const checkpoint = new Checkpoint(filePath, {run: {}});
+    const newPath = path.join(directory, 'moved', 'checkpoint.json');
+
+    return checkpoint.recordPage(page(1))
+      .then(() => checkpoint.save())
+      .then(() => checkpoint.moveTo(newPath))
+      .then(() => checkpoint.recordPage(page(2)))
+      .then(() => checkpoint.save())
+      .then(() => Checkpoint.load(newPath))
+      .then(loaded => {
+        assert.strictEqual(loaded.completedPages, 2);
+        return Checkpoint.load(filePath);
+      })
+      .then(original => {
+        assert.strictEqual(original.completedPages, 1);
+      });
+  });
+});
@@ -0,0 +1,135 @@
+'use strict';
+
+const assert = require('assert');
+const http = require('http');
+const createClient = require('../lib/client');
+
+describe('client', function () {
+  let server;
+  let baseUrl;
+  let handler;
+
+  beforeEach(function (done) {
+    server = http.createServer((request, response) => handler(request, response));
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(function (done) {
+    server.close(done);
+  });
+
+  describe('parseRetryAfter', function () {
+    it('parses seconds and dates', function () {
+      const now = Date.parse('2017-03-01T00:00:00Z');
+      assert.strictEqual(createClient.parseRetryAfter('5', now), 5000);
+      assert.strictEqual(
+        createClient.parseRetryAfter('Wed, 01 Mar 2017 00:00:10 GMT', now),
+        10000);
+    });
+  });
+
+  it('rejects unknown rate modes', function () {
+    assert.throws(() => createClient({rateMode: 'fast'}), /Unknown rate mode/);
+  });
+
+  describe('in adaptive mode', function () {
+    it('waits and retries when throttled', function () {
+      let count = 0;
+      handler = (request, response) => {
+        count++;
+        if (count === 1) {
+          response.writeHead(429, {'Retry-After': '0'});
+          return response.end();
+        }
+        response.end('ok');
+      };
+
+      const client = createClient({rateMode: 'adaptive', maxSockets: 4, sleepEvery: 0});
+      return client({url: `${baseUrl}/`}).then(response => {
+        assert.strictEqual(response.body, 'ok');
+
+        const stats = client.stats();
+        assert.strictEqual(stats.requests, 2);
+        assert.strictEqual(stats.throttled, 1);
+        assert.strictEqual(stats.retries, 1);
+        assert.strictEqual(stats.minimumConcurrency, 2);
+      });
+    });
+
+    it('reduces concurrency on errors and raises it again when healthy', function () {
+      let fail = true;
+      handler = (request, response) => {
+        response.statusCode = fail ? 500 : 200;
+        response.end('');
+      };
+
+      const client = createClient({rateMode: 'adaptive', maxSockets: 2, sleepEvery: 0});
+      const get = () => client({url: `${baseUrl}/`, retry: false});
+      return get()
+        .then(() => assert.strictEqual(client.stats().concurrency, 1))
+        .then(() => { fail = false; })
+        .then(get)
+        .then(get)
+        .then(() => assert.strictEqual(client.stats().concurrency, 2));
+    });
+  });
+
+  it('emits an event for each request', function () {
+    handler = (request, response) => response.end('hello');
+
+    const client = createClient({sleepEvery: 0});
+    const events = [];
+    client.events.on('request', event => events.push(event));
+    return client({url: `${baseUrl}/`, kind: 'test'}).then(() => {
+      assert.strictEqual(events.length, 1);
+      assert.strictEqual(events[0].host, baseUrl.slice('http://'.length));
+      assert.strictEqual(events[0].kind, 'test');
+      assert.strictEqual(events[0].method, 'GET');
+      assert.strictEqual(events[0].status, 200);
+      assert.strictEqual(events[0].bytes, 5);
+      assert.strictEqual(events[0].retries, 0);
+      assert.ok(events[0].duration >= 0);
+      assert.ok(events[0].queueWait >= 0);
+    });
+  });
+
+  it('waits and retries when throttled in fixed mode', function () {
+    let count = 0;
+    handler = (request, response) => {
+      count++;
+      if (count === 1) {
+        response.writeHead(429, {'Retry-After': '0'});
+        return response.end();
+      }
+      response.end('ok');
+    };
+
+    const client = createClient({maxSockets: 2, sleepEvery: 0});
+    return client({url: `${baseUrl}/`}).then(response => {
+      assert.strictEqual(response.body, 'ok');
+
+      const stats = client.stats();
+      assert.strictEqual(stats.requests, 2);
+      assert.strictEqual(stats.throttled, 1);
+      assert.strictEqual(stats.retries, 1);
+      assert.strictEqual(stats.concurrency, 2);
+    });
+  });
+
+  it('does not adapt in fixed mode', function () {
+    handler = (request, response) => {
+      response.statusCode = 500;
+      response.end('');
+    };
+
+    const client = createClient({maxSockets: 2, sleepEvery: 0});
+    return client({url: `${baseUrl}/`, retry: false}).then(() => {
+      const stats = client.stats();
+      assert.strictEqual(stats.errors, 1);
+      assert.strictEqual(stats.concurrency, 2);
+    });
+  });
+});
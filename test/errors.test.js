@@ -0,0 +1,98 @@
+'use strict';
+
+const assert = require('assert');
+const errors = require('../lib/errors');
+
+describe('errors', function () {
+  it('gives each kind of error a class and a code', function () {
+    const error = new errors.InvalidUrlError('Nope', {versionId: 5});
+    assert.ok(error instanceof errors.VersionistaError);
+    assert.ok(error instanceof Error);
+    assert.strictEqual(error.name, 'InvalidUrlError');
+    assert.strictEqual(error.code, 'VERSIONISTA:INVALID_URL');
+    assert.strictEqual(error.versionId, '5');
+
+    const limited = new errors.RateLimitedError('Slow down', {retryAfter: 1000});
+    assert.ok(limited instanceof errors.HttpError);
+    assert.strictEqual(limited.status, 429);
+    assert.strictEqual(limited.code, 'VERSIONISTA:RATE_LIMITED');
+  });
+
+  it('uses the code of the underlying error for network errors', function () {
+    const cause = new Error('socket hang up');
+    cause.code = 'ECONNRESET';
+    const error = new errors.NetworkError('Request failed', {cause});
+    assert.strictEqual(error.code, 'ECONNRESET');
+    assert.strictEqual(error.cause, cause);
+  });
+
+  describe('addContext', function () {
+    it('does not replace existing context', function () {
+      const error = new errors.VersionistaError('Oops', {pageId: '1'});
+      errors.addContext(error, {siteId: '2', pageId: '3'});
+      assert.strictEqual(error.siteId, '2');
+      assert.strictEqual(error.pageId, '1');
+    });
+  });
+
+  describe('contextFromUrl', function () {
+    it('gets IDs from version and diff URLs', function () {
+      assert.deepStrictEqual(
+        errors.contextFromUrl('https://versionista.com/74273/6221569/10485802/download'),
+        {
+          url: 'https://versionista.com/74273/6221569/10485802/download',
+          siteId: '74273',
+          pageId: '6221569',
+          versionId: '10485802'
+        });
+      assert.strictEqual(
+        errors.contextFromUrl('https://versionista.com/74273/6221569/10485802:0/').versionId,
+        '10485802');
+      assert.strictEqual(
+        errors.contextFromUrl('https://versionista.com/api/versions/1/2').siteId,
+        undefined);
+    });
+  });
+
+  describe('contextFromVersion', function () {
+    it('gets IDs and URL from a version and adds more context', function () {
+      const version = {
+        siteId: '74273',
+        pageId: '6221569',
+        versionId: '10485802',
+        url: 'https://www.example.gov/',
+        title: 'Example'
+      };
+      assert.deepStrictEqual(
+        errors.contextFromVersion(version, {operation: 'diff'}),
+        {
+          siteId: '74273',
+          pageId: '6221569',
+          versionId: '10485802',
+          url: 'https://www.example.gov/',
+          operation: 'diff'
+        });
+    });
+  });
+
+  describe('toRecord', function () {
+    it('describes errors as plain objects', function () {
+      const error = new errors.DiffHostError('Bad diff', {url: 'https://versionista.com/1/2/3:0/'});
+      const record = errors.toRecord(error, {versionId: '3', diffType: 'text'});
+      assert.strictEqual(record.type, 'DiffHostError');
+      assert.strictEqual(record.code, 'VERSIONISTA:API_ERROR');
+      assert.strictEqual(record.message, 'Bad diff');
+      assert.strictEqual(record.url, 'https://versionista.com/1/2/3:0/');
+      assert.strictEqual(record.versionId, '3');
+      assert.strictEqual(record.diffType, 'text');
+      assert.ok(record.time);
+      assert.ok(record.stack);
+    });
+
+    it('handles messages', function () {
+      const record = errors.toRecord('Something happened');
+      assert.strictEqual(record.type, 'Message');
+      assert.strictEqual(record.message, 'Something happened');
+    });
+  });
+});
@@ -0,0 +1,12 @@
+'use strict';
+
+// A third-party style formatter used to test loading formatters by path.
+module.exports = function formatCount (sites, options = {}) {
+  const count = sites.reduce((total, site) => total + site.pages.reduce(
+    (total, page) => total + (page[options.versionType || 'versions'] || []).length,
+    0
+  ), 0);
+  return `${options.account}: ${count} versions\n`;
+};
+
+module.exports.extension = 'txt';
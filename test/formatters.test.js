@@ -0,0 +1,175 @@
+'use strict';
+
+const assert = require('assert');
+const path = require('path');
+const {getFormatter, extensionFor} = require('../lib/formatters');
+const {versionRecords} = require('../lib/formatters/common');
+
+function exampleSites () {
+  const site = {
+    name: 'EPA - www.epa.gov',
+    url: 'https://versionista.com/74273/'
+  };
+  const page = {
+    id: '6221569',
+    url: 'https://www.epa.gov/climatechange',
+    versionistaUrl: 'https://versionista.com/74273/6221569/',
+    title: 'Climate | Change',
+    versions: [
+      {versionId: 1, date: new Date('2017-03-01T00:00:00Z')},
+      {
+        versionId: 2,
+        date: new Date('2017-03-03T00:00:00Z'),
+        diffWithPreviousUrl: 'https://versionista.com/74273/6221569/2:1/',
+        diffWithPreviousDate: new Date('2017-03-01T00:00:00Z'),
+        diff: {length: 10, hash: 'abc'}
+      }
+    ],
+    errorVersions: [{versionId: 3, date: new Date('2017-03-02T00:00:00Z')}]
+  };
+  site.pages = [page];
+
+  return [site, {name: 'NOAA - www.noaa.gov', url: '', pages: []}];
+}
+
+describe('formatters', function () {
+  describe('getFormatter', function () {
+    it('gets built-in formatters by name', function () {
+      const csv = getFormatter('csv');
+      assert.strictEqual(csv, require('../lib/formatters/csv'));
+      assert.strictEqual(extensionFor(csv), 'csv');
+      assert.strictEqual(extensionFor(getFormatter('markdown')), 'md');
+    });
+
+    it('loads formatters from a module path', function () {
+      const modulePath = path.relative(
+        process.cwd(),
+        path.join(__dirname, 'fixtures', 'count-formatter.js'));
+      const formatter = getFormatter(`.${path.sep}${modulePath}`);
+      assert.strictEqual(
+        formatter(exampleSites(), {account: 'test'}),
+        'test: 2 versions\n');
+    });
+
+    it('throws for unknown formats', function () {
+      assert.throws(
+        () => getFormatter('parquet'),
+        error => error.code === 'VERSIONISTA:INVALID_FORMATTER');
+      assert.throws(
+        () => getFormatter('./does-not-exist.js'),
+        error => error.code === 'VERSIONISTA:INVALID_FORMATTER');
+    });
+  });
+
+  describe('versionRecords', function () {
+    it('lists every version with its site and page', function () {
+      const sites = exampleSites();
+      const records = versionRecords(sites);
+      assert.deepStrictEqual(records.map(record => record.version.versionId), [1, 2]);
+      assert.strictEqual(records[0].site, sites[0]);
+      assert.strictEqual(records[0].page, sites[0].pages[0]);
+
+      assert.strictEqual(versionRecords(sites, 'errorVersions').length, 1);
+    });
+  });
+
+  describe('csv', function () {
+    it('groups diffs by their normalized hashes', function () {
+      const sites = exampleSites();
+      const versions = sites[0].pages[0].versions;
+      versions[1].diff = {length: 10, hash: 'ccc', normalizedHash: 'aaa'};
+      versions.push({
+        versionId: 4,
+        date: new Date('2017-03-05T00:00:00Z'),
+        diffWithPreviousUrl: 'https://versionista.com/74273/6221569/4:2/',
+        diffWithPreviousDate: new Date('2017-03-03T00:00:00Z'),
+        diff: {length: 10, hash: 'bbb'}
+      });
+
+      const rows = getFormatter('csv').tableRows(sites, {normalized: true});
+      assert.deepStrictEqual(rows[0].slice(-2), ['Raw Diff Hash', 'Raw Text Diff Hash']);
+
+      const diffRows = rows.slice(1).filter(row => row[12]);
+      assert.deepStrictEqual(diffRows.map(row => row[13]), ['aaa', 'bbb']);
+      assert.deepStrictEqual(diffRows.map(row => row[16]), ['ccc', 'bbb']);
+    });
+
+    it('leaves the latest date blank for deleted versions', function () {
+      const sites = exampleSites();
+      sites[0].pages[0].deletedVersions = [
+        {versionId: 5, date: new Date('2017-03-04T00:00:00Z'), deleted: true}
+      ];
+
+      const rows = getFormatter('csv').tableRows(sites, {versionType: 'deletedVersions'});
+      assert.strictEqual(rows.length, 2);
+      assert.strictEqual(rows[1][8], '[deleted version]');
+      assert.strictEqual(rows[1][10], '');
+    });
+
+    it('adds extracted text columns and groups documents by their text', function () {
+      const sites = exampleSites();
+      const versions = sites[0].pages[0].versions;
+      versions[1].extractedText = {length: 21, hash: 'fff', path: '74273-6221569/version-2-text.txt'};
+      versions.push({
+        versionId: 4,
+        date: new Date('2017-03-05T00:00:00Z'),
+        diffWithPreviousUrl: 'https://versionista.com/74273/6221569/4:2/',
+        diffWithPreviousDate: new Date('2017-03-03T00:00:00Z'),
+        diff: {length: 10, hash: 'aaa'},
+        extractedText: {length: 21, hash: 'eee', path: '74273-6221569/version-4-text.txt'}
+      });
+
+      const rows = getFormatter('csv').tableRows(sites, {extractText: true});
+      assert.deepStrictEqual(rows[0].slice(-3), ['Text Length', 'Text Hash', 'Text File']);
+
+      const diffRows = rows.slice(1).filter(row => row[12]);
+      assert.deepStrictEqual(diffRows.map(row => row.slice(-3)), [
+        [21, 'eee', '74273-6221569/version-4-text.txt'],
+        [21, 'fff', '74273-6221569/version-2-text.txt']
+      ]);
+    });
+
+    it('does not mix text hashes with text diff hashes when sorting', function () {
+      const sites = exampleSites();
+      const versions = sites[0].pages[0].versions;
+      versions[1].textDiff = {length: 5, hash: 'ddd'};
+      versions.push({
+        versionId: 4,
+        date: new Date('2017-03-05T00:00:00Z'),
+        diffWithPreviousUrl: 'https://versionista.com/74273/6221569/4:2/',
+        diffWithPreviousDate: new Date('2017-03-03T00:00:00Z'),
+        textDiff: {length: 5, hash: 'eee'},
+        extractedText: {length: 21, hash: 'ccc', path: '74273-6221569/version-4-text.txt'}
+      });
+
+      const rows = getFormatter('csv').tableRows(sites, {extractText: true});
+      const diffRows = rows.slice(1).filter(row => row[15]);
+      assert.deepStrictEqual(diffRows.map(row => row[15]), ['ddd', 'eee']);
+    });
+  });
+
+  describe('tsv', function () {
+    it('has the same columns as CSV, separated by tabs', function () {
+      const lines = getFormatter('tsv')(exampleSites()).split('\n');
+      assert.strictEqual(lines.length, 3);
+      assert.deepStrictEqual(lines[0].split('\t'), getFormatter('csv').headers);
+
+      const row = lines[2].split('\t');
+      assert.strictEqual(row[3], 'EPA');
+      assert.strictEqual(row[5], 'Climate | Change');
+      assert.strictEqual(row[8], 'https://versionista.com/74273/6221569/2:1/');
+    });
+  });
+
+  describe('markdown', function () {
+    it('summarizes changed pages by site', function () {
+      const output = getFormatter('markdown')(exampleSites(), {account: 'test'});
+      assert.ok(output.startsWith('# Versionista Changes: test\n'));
+      assert.ok(output.includes('2 versions of 1 page across 1 site.'));
+      assert.ok(output.includes('## EPA - www.epa.gov'));
+      assert.ok(!output.includes('NOAA'));
+      assert.ok(output.includes(
+        '| [Climate \\| Change](https://www.epa.gov/climatechange) | 2 | 2017-03-03 00:00:00 | [Diff](https://versionista.com/74273/6221569/2:1/) |'));
+    });
+  });
+});
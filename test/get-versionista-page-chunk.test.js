@@ -0,0 +1,109 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockVersionista = require('./support/mock-versionista');
+const {runScript, removeDirectory, readJsonStream} = require('./support/scripts');
+const fixture = require('./fixtures/account.json');
+
+const scrapeChunk = (server, args) =>
+  runScript(server, 'get-versionista-page-chunk', args);
+
+describe('get-versionista-page-chunk', function () {
+  this.timeout(20000);
+
+  let server;
+  let outputDirectory;
+  let candidatesPath;
+
+  beforeEach(function () {
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'page-chunk-'));
+    server = new MockVersionista(fixture);
+    return server.start().then(() => {
+      candidatesPath = path.join(outputDirectory, 'pages.json');
+      fs.writeFileSync(candidatesPath, JSON.stringify([{
+        id: '74273',
+        name: 'EPA - www.epa.gov',
+        url: `${server.url}/74273/`,
+        pages: [{
+          id: '6221569',
+          siteId: '74273',
+          url: 'https://www.epa.gov/climatechange',
+          versionistaUrl: `${server.url}/74273/6221569/`,
+          title: 'Climate Change'
+        }]
+      }]));
+    });
+  });
+
+  afterEach(function () {
+    removeDirectory(outputDirectory);
+    return server.stop();
+  });
+
+  it('saves the requested types of diffs and deleted versions', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrapeChunk(server, [
+      '--candidate-pages', candidatesPath,
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-diffs',
+      '--diff-types', 'only,screenshots',
+      '--deleted-versions'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const version = readJsonStream(outputPath)
+          .find(version => version.versionId === 10486100);
+        assert.strictEqual(
+          version.screenshotsDiff.path,
+          path.join('74273-6221569', 'diff-10486100-screenshots.png'));
+        assert.ok(version.diff);
+        assert.ok(!version.textDiff);
+
+        const deleted = readJsonStream(path.join(outputDirectory, 'deleted-versions.json'));
+        assert.deepStrictEqual(deleted.map(version => version.versionId), [10485900]);
+      });
+  });
+
+  it('uses the time frame of the checkpoint it resumes from', function () {
+    const checkpointPath = path.join(outputDirectory, 'checkpoint.json');
+    const outputPath = path.join(outputDirectory, 'output.json');
+    const options = [
+      '--candidate-pages', candidatesPath,
+      '--format', 'json-stream',
+      '--output', outputPath
+    ];
+
+    return scrapeChunk(server, [
+      ...options,
+      '--after', '2017-03-02T00:00:00Z',
+      '--before', '2017-03-31T00:00:00Z',
+      '--checkpoint', checkpointPath
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        return scrapeChunk(server, [
+          ...options,
+          '--after', '2017-01-01T00:00:00Z',
+          '--resume', checkpointPath
+        ]);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(result.stderr.includes('--after does not match'), result.stderr);
+        return scrapeChunk(server, [...options, '--resume', checkpointPath]);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.deepStrictEqual(
+          readJsonStream(outputPath).map(version => version.versionId),
+          [10486000, 10486100]);
+      });
+  });
+});
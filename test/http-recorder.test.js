@@ -0,0 +1,151 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const createClient = require('../lib/client');
+const HttpRecorder = require('../lib/http-recorder');
+
+describe('HttpRecorder', function () {
+  let server;
+  let baseUrl;
+  let handler;
+  let requestCount;
+  let directory;
+
+  beforeEach(function (done) {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'versionista-recorder-'));
+    requestCount = 0;
+    server = http.createServer((request, response) => {
+      requestCount++;
+      handler(request, response);
+    });
+    server.listen(0, '127.0.0.1', () => {
+      baseUrl = `http://127.0.0.1:${server.address().port}`;
+      done();
+    });
+  });
+
+  afterEach(function (done) {
+    new HttpRecorder(directory).clear()
+      .then(() => server.close(done));
+  });
+
+  function recordingClient (mode) {
+    return createClient({sleepEvery: 0, sleepFor: 0, recorder: new HttpRecorder(directory, mode)});
+  }
+
+  it('replays recorded responses without making requests', function () {
+    handler = (request, response) => {
+      if (request.url === '/start') {
+        response.writeHead(302, {Location: '/binary', 'Set-Cookie': 'session=secret'});
+        return response.end();
+      }
+      response.writeHead(200, {'Content-Type': 'application/pdf'});
+      response.end(Buffer.from([0, 1, 2, 255]));
+    };
+
+    const options = {url: `${baseUrl}/start`, encoding: null};
+    return recordingClient('record')(options)
+      .then(() => recordingClient('replay')(options))
+      .then(response => {
+        assert.strictEqual(requestCount, 2);
+        assert.strictEqual(response.statusCode, 200);
+        assert.strictEqual(response.headers['content-type'], 'application/pdf');
+        assert.deepStrictEqual(response.body, Buffer.from([0, 1, 2, 255]));
+        assert.strictEqual(response.request.uri.href, `${baseUrl}/binary`);
+        assert.strictEqual(response.request.uri.pathname, '/binary');
+        assert.deepStrictEqual(
+          response.request._redirect.redirects.map(redirect => redirect.statusCode),
+          [302]);
+
+        const saved = fs.readdirSync(directory)
+          .map(name => fs.readFileSync(path.join(directory, name), 'utf8'))
+          .join('\n');
+        assert.ok(!saved.includes('secret'), 'Cookies should not be saved');
+      });
+  });
+
+  it('replays repeated requests in the order they were recorded', function () {
+    handler = (request, response) => {
+      response.statusCode = requestCount === 1 ? 500 : 200;
+      response.end(`response ${requestCount}`);
+    };
+
+    return recordingClient('record')({url: `${baseUrl}/`, retryIf: response => response.statusCode >= 500})
+      .then(() => {
+        assert.strictEqual(requestCount, 2);
+
+        const client = recordingClient('replay');
+        return client({url: `${baseUrl}/`, retry: false})
+          .then(response => assert.strictEqual(response.body, 'response 1'))
+          .then(() => client({url: `${baseUrl}/`, retry: false}))
+          .then(response => assert.strictEqual(response.body, 'response 2'))
+          .then(() => client({url: `${baseUrl}/`, retry: false}))
+          .then(response => assert.strictEqual(response.body, 'response 2'));
+      });
+  });
+
+  it('parses replayed JSON like the request module', function () {
+    handler = (request, response) => {
+      response.writeHead(200, {'Content-Type': 'application/json'});
+      response.end('{"a": 1}');
+    };
+
+    const options = {url: `${baseUrl}/api`, json: true};
+    return recordingClient('record')(options)
+      .then(() => recordingClient('replay')(options))
+      .then(response => assert.deepStrictEqual(response.body, {a: 1}));
+  });
+
+  it('fails requests that were not recorded when replaying', function () {
+    return recordingClient('replay')({url: `${baseUrl}/missing`, retry: false}).then(
+      () => assert.fail('The request should have failed'),
+      error => {
+        assert.strictEqual(error.code, 'VERSIONISTA:NOT_RECORDED');
+        assert.strictEqual(requestCount, 0);
+      });
+  });
+
+  it('only makes requests that are not already recorded in cache mode', function () {
+    handler = (request, response) => response.end(`response ${requestCount}`);
+
+    const client = recordingClient('cache');
+    return client({url: `${baseUrl}/`})
+      .then(() => client({url: `${baseUrl}/`}))
+      .then(response => {
+        assert.strictEqual(response.body, 'response 1');
+        assert.strictEqual(requestCount, 1);
+      });
+  });
+
+  it('does not cache failed requests in cache mode', function () {
+    handler = (request, response) => {
+      if (requestCount === 1) return request.socket.destroy();
+      response.end(`response ${requestCount}`);
+    };
+
+    const client = recordingClient('cache');
+    return client({url: `${baseUrl}/`, retry: false})
+      .then(
+        () => assert.fail('The first request should have failed'),
+        error => assert.strictEqual(error.code, 'ECONNRESET'))
+      .then(() => client({url: `${baseUrl}/`, retry: false}))
+      .then(() => recordingClient('cache')({url: `${baseUrl}/`}))
+      .then(response => {
+        assert.strictEqual(response.body, 'response 2');
+        assert.strictEqual(requestCount, 2);
+      });
+  });
+
+  it('deletes recordings with clear()', function () {
+    handler = (request, response) => response.end('hello');
+
+    const recorder = new HttpRecorder(directory, 'record');
+    return createClient({sleepEvery: 0, recorder})({url: `${baseUrl}/`})
+      .then(() => recorder.clear())
+      .then(() => assert.ok(!fs.existsSync(directory)));
+  });
+});
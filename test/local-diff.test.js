@@ -0,0 +1,27 @@
+'use strict';
+
+const assert = require('assert');
+const localDiff = require('../lib/local-diff');
+
+describe('localDiff', function () {
+  const before = '<html><head><style>p {color: red;}</style></head><body>\n<h1>Title</h1>\n<p>Same</p>\n<p>Old   text</p>\n</body></html>';
+  const after = '<html><head><style>p {color: blue;}</style></head><body>\n<h1>Title</h1>\n<p>Same</p>\n<p>New text</p>\n</body></html>';
+
+  it('lists only the changed lines of source', function () {
+    const diff = localDiff(before, after, 'only');
+    assert.ok(diff.includes('<del>&lt;html&gt;&lt;head&gt;&lt;style&gt;p {color: red;}'));
+    assert.ok(diff.includes('<ins>&lt;p&gt;New text&lt;/p&gt;</ins>'));
+    assert.ok(!diff.includes('Same'));
+  });
+
+  it('compares only visible text for text_only diffs', function () {
+    const diff = localDiff(before, after, 'text_only');
+    assert.ok(diff.includes('<del>Old text</del>\n<ins>New text</ins>'));
+    assert.ok(!diff.includes('color'));
+    assert.ok(!diff.includes('Title'));
+  });
+
+  it('throws for diff types it does not support', function () {
+    assert.throws(() => localDiff(before, after, 'screenshots'), /screenshots/);
+  });
+});
@@ -0,0 +1,122 @@
+'use strict';
+
+const assert = require('assert');
+const EventEmitter = require('events');
+const RunMetrics = require('../lib/metrics');
+
+function requestEvent (properties) {
+  return Object.assign({
+    host: 'versionista.com',
+    kind: 'versions-api',
+    method: 'GET',
+    status: 200,
+    bytes: 100,
+    duration: 10,
+    queueWait: 0,
+    retries: 0
+  }, properties);
+}
+
+describe('RunMetrics', function () {
+  it('summarizes requests by host and kind', function () {
+    const metrics = new RunMetrics({account: 'test'});
+    for (let i = 1; i <= 10; i++) {
+      metrics.recordRequest(requestEvent({duration: i * 10}));
+    }
+    metrics.recordRequest(requestEvent({
+      host: 'diffs.example.com',
+      kind: 'diff-content',
+      duration: 500
+    }));
+
+    const report = metrics.report();
+    assert.strictEqual(report.account, 'test');
+    assert.strictEqual(report.totals.requests, 11);
+    assert.strictEqual(report.totals.bytes, 1100);
+    assert.deepStrictEqual(Object.keys(report.byHost), ['diffs.example.com', 'versionista.com']);
+    assert.deepStrictEqual(report.byKind['versions-api'].duration, {
+      total: 550,
+      p50: 50,
+      p90: 90,
+      p99: 100,
+      max: 100
+    });
+    assert.strictEqual(report.byKind['diff-content'].duration.p50, 500);
+  });
+
+  it('approximates timings without keeping every request', function () {
+    const metrics = new RunMetrics();
+    for (let i = 1; i <= 10000; i++) {
+      metrics.recordRequest(requestEvent({duration: i}));
+    }
+
+    const duration = metrics.report().totals.duration;
+    assert.strictEqual(duration.total, 50005000);
+    assert.strictEqual(duration.max, 10000);
+    assert.ok(Math.abs(duration.p50 - 5000) <= 50, `p50 was ${duration.p50}`);
+    assert.ok(Math.abs(duration.p99 - 9900) <= 100, `p99 was ${duration.p99}`);
+    assert.ok(metrics.totals.duration.buckets.size < 1000);
+  });
+
+  it('counts errors by category', function () {
+    const metrics = new RunMetrics();
+    metrics.recordRequest(requestEvent({status: 503}));
+    metrics.recordRequest(requestEvent({status: 500}));
+    metrics.recordRequest(requestEvent({status: 429}));
+    metrics.recordRequest(requestEvent({status: 404}));
+    metrics.recordRequest(requestEvent({status: undefined, error: 'ETIMEDOUT'}));
+    metrics.recordRequest(requestEvent({}));
+
+    const report = metrics.report();
+    assert.deepStrictEqual(report.errors, {
+      http_5xx: 2,
+      throttled: 1,
+      http_4xx: 1,
+      ETIMEDOUT: 1
+    });
+    assert.strictEqual(report.totals.errors, 5);
+  });
+
+  it('records events and sleeps from a client', function () {
+    const client = {events: new EventEmitter()};
+    const metrics = new RunMetrics().watch(client);
+    client.events.emit('request', requestEvent({}));
+    client.events.emit('sleep', {duration: 250});
+    client.events.emit('sleep', {duration: 250});
+    metrics.setCount('versions', 7);
+
+    const report = metrics.report();
+    assert.strictEqual(report.totals.requests, 1);
+    assert.strictEqual(report.sleepTime, 500);
+    assert.deepStrictEqual(report.counts, {versions: 7});
+  });
+
+  describe('toPrometheus', function () {
+    it('formats a report as Prometheus metrics', function () {
+      const metrics = new RunMetrics({account: 'a "quoted" name'});
+      metrics.recordRequest(requestEvent({duration: 2000}));
+      metrics.setCount('versions', 3);
+
+      const text = RunMetrics.toPrometheus(metrics.report());
+      const lines = text.split('\n');
+      assert.ok(lines.includes('# TYPE versionista_scraper_requests gauge'));
+      assert.ok(lines.includes('versionista_scraper_requests{account="a \\"quoted\\" name",kind="versions-api"} 1'));
+      assert.ok(lines.includes('versionista_scraper_request_duration_seconds{account="a \\"quoted\\" name",kind="versions-api",quantile="0.5"} 2'));
+      assert.ok(lines.includes('versionista_scraper_request_duration_seconds_count{account="a \\"quoted\\" name",kind="versions-api"} 1'));
+      assert.ok(lines.includes('versionista_scraper_processed{account="a \\"quoted\\" name",item="versions"} 3'));
+    });
+
+    it('combines several reports under one set of metric headers', function () {
+      const reports = ['first', 'second'].map(account => {
+        const metrics = new RunMetrics({account});
+        metrics.recordRequest(requestEvent({}));
+        return metrics.report();
+      });
+
+      const lines = RunMetrics.toPrometheus(reports).split('\n');
+      assert.strictEqual(lines.filter(line => line === '# TYPE versionista_scraper_requests gauge').length, 1);
+      assert.ok(lines.includes('versionista_scraper_requests{account="first",kind="versions-api"} 1'));
+      assert.ok(lines.includes('versionista_scraper_requests{account="second",kind="versions-api"} 1'));
+    });
+  });
+});
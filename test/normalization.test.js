@@ -0,0 +1,69 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Normalizer = require('../lib/normalization');
+
+describe('Normalizer', function () {
+  const html = '<html><head><script src="https://www.google-analytics.com/a.js"></script></head><body><p>Updated 10:15 AM</p><input name="token" value="x1y2"></body></html>';
+
+  const normalizer = new Normalizer({
+    rules: [
+      {pattern: 'value="[^"]*"', replace: 'value=""'},
+      {selector: 'script[src*="google-analytics.com"]'}
+    ],
+    sites: {
+      '74273': {rules: [{pattern: 'Updated [\\d:]+ [AP]M'}]},
+      '74274': {rules: [{pattern: 'token'}], replaceDefaults: true}
+    }
+  });
+
+  it('removes patterns and elements matching selectors', function () {
+    const result = normalizer.normalize(html, 'text/html');
+    assert.ok(!result.includes('google-analytics'));
+    assert.ok(result.includes('<input name="token" value="">'));
+    assert.ok(result.includes('Updated 10:15 AM'));
+  });
+
+  it('adds rules for specific sites', function () {
+    const result = normalizer.normalize(html, 'text/html', '74273');
+    assert.ok(!result.includes('google-analytics'));
+    assert.ok(result.includes('<p></p>'));
+  });
+
+  it('uses only a site\'s own rules if it replaces the defaults', function () {
+    const result = normalizer.normalize(html, 'text/html', '74274');
+    assert.ok(result.includes('google-analytics'));
+    assert.ok(result.includes('value="x1y2"'));
+    assert.ok(!result.includes('token'));
+  });
+
+  it('only applies selectors to HTML', function () {
+    const json = '{"script": "<script src=\\"https://www.google-analytics.com/a.js\\"></script>"}';
+    assert.strictEqual(normalizer.normalize(json, 'application/json'), json);
+  });
+
+  it('rejects invalid selectors', function () {
+    assert.throws(
+      () => new Normalizer({sites: {74273: {rules: [{selector: 'p'}, {selector: 'div[class='}]}}}),
+      /Rule 1 in 'sites\.74273\.rules' has an invalid selector/);
+  });
+
+  it('loads rules from a file and rejects invalid rules', function () {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'normalization-'));
+    const rulesPath = path.join(directory, 'rules.json');
+    try {
+      fs.writeFileSync(rulesPath, JSON.stringify({rules: [{pattern: 'a+'}]}));
+      assert.strictEqual(Normalizer.load(rulesPath).normalize('baaad', 'text/plain'), 'bd');
+
+      fs.writeFileSync(rulesPath, JSON.stringify({rules: [{flags: 'g'}]}));
+      assert.throws(() => Normalizer.load(rulesPath), /rules\.json.*'pattern' or a 'selector'/);
+    }
+    finally {
+      fs.unlinkSync(rulesPath);
+      fs.rmdirSync(directory);
+    }
+  });
+});
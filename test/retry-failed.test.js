@@ -0,0 +1,137 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockVersionista = require('./support/mock-versionista');
+const {runScript, removeDirectory, readJsonStream} = require('./support/scripts');
+const fixture = require('./fixtures/account.json');
+
+describe('retry-failed', function () {
+  this.timeout(20000);
+
+  let server;
+  let outputDirectory;
+  let metadataPath;
+  let patchedPath;
+
+  beforeEach(function () {
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'retry-failed-'));
+    metadataPath = path.join(outputDirectory, 'versions.json');
+    patchedPath = path.join(outputDirectory, 'patched.json');
+    server = new MockVersionista(fixture);
+    return server.start();
+  });
+
+  afterEach(function () {
+    removeDirectory(outputDirectory);
+    return server.stop();
+  });
+
+  it('retries the diffs listed in an error log', function () {
+    const errorsPath = path.join(outputDirectory, 'errors.jsonl');
+    server.failRequestsTo(/^\/api\/ip_url\/.*\/text_only$/, 400);
+
+    return runScript(server, 'scrape-versionista', [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', metadataPath,
+      '--relative-paths', outputDirectory,
+      '--save-diffs',
+      '--errors', errorsPath,
+      '--errors-format', 'jsonl'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        const scraped = readJsonStream(metadataPath);
+        assert.ok(scraped.some(version => version.diff && !version.textDiff));
+
+        server.failures = [];
+        server.clearRequests();
+        return runScript(server, 'retry-failed', [
+          '--metadata', metadataPath,
+          '--errors-log', errorsPath,
+          '--output', patchedPath,
+          '--relative-paths', outputDirectory,
+          '--save-diffs'
+        ]);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.ok(
+          server.requests.every(request => !/\/(only|download)$/.test(request.path)),
+          'Only the missing diffs should be requested');
+
+        const scraped = readJsonStream(metadataPath);
+        const patched = readJsonStream(patchedPath);
+        assert.deepStrictEqual(
+          patched.map(version => version.versionId),
+          scraped.map(version => version.versionId));
+
+        patched
+          .filter(version => version.diff)
+          .forEach(version => {
+            assert.ok(version.textDiff, `Version ${version.versionId} should have a text diff`);
+            const textDiff = fs.readFileSync(path.join(outputDirectory, version.textDiff.path), 'utf8');
+            assert.ok(textDiff.includes(`text_only diff of ${version.versionId}`));
+          });
+      });
+  });
+
+  it('finds missing content in the metadata when there is no error log', function () {
+    server.failRequestsTo(/\/download$/);
+
+    return runScript(server, 'scrape-versionista', [
+      '--after', '2017-03-05T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', metadataPath,
+      '--relative-paths', outputDirectory,
+      '--save-content'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(!readJsonStream(metadataPath)[0].filePath);
+
+        server.failures = [];
+        return runScript(server, 'retry-failed', [
+          '--metadata', metadataPath,
+          '--output', patchedPath,
+          '--relative-paths', outputDirectory,
+          '--save-content'
+        ]);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const version = readJsonStream(patchedPath)[0];
+        assert.strictEqual(version.filePath, path.join('74273-6221569', 'version-10486100.html'));
+        const content = fs.readFileSync(path.join(outputDirectory, version.filePath), 'utf8');
+        assert.strictEqual(content, fixture.sites[0].pages[0].versions[3].content);
+      });
+  });
+
+  it('writes errors that can be retried again later', function () {
+    const errorsPath = path.join(outputDirectory, 'errors.jsonl');
+    server.failRequestsTo(/^\/api\/ip_url\/.*\/text_only$/, 400);
+
+    return runScript(server, 'scrape-versionista', [
+      '--after', '2017-03-05T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', metadataPath
+    ])
+      .then(() => runScript(server, 'retry-failed', [
+        '--metadata', metadataPath,
+        '--output', patchedPath,
+        '--errors', errorsPath
+      ]))
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        const records = readJsonStream(errorsPath);
+        assert.strictEqual(records.length, 1);
+        assert.strictEqual(records[0].operation, 'diff');
+        assert.strictEqual(records[0].diffType, 'text_only');
+        assert.strictEqual(records[0].versionId, '10486100');
+      });
+  });
+});
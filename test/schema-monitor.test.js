@@ -0,0 +1,60 @@
+'use strict';
+
+const assert = require('assert');
+const SchemaMonitor = require('../lib/schema-monitor');
+
+describe('SchemaMonitor', function () {
+  const schema = {id: 'number', name: 'string', tags: 'array?'};
+
+  it('records mismatched and unexpected fields without throwing', function () {
+    const monitor = new SchemaMonitor();
+    monitor.check('thing', schema, {id: '1', name: 'a', color: 'red'}, 'https://example.com/1');
+    monitor.check('thing', schema, {id: '2', name: 'b'}, 'https://example.com/2');
+
+    const report = monitor.report();
+    assert.strictEqual(report.checkedCount, 2);
+    assert.deepStrictEqual(report.drift, [
+      {
+        schema: 'thing',
+        field: 'id',
+        kind: 'type',
+        expected: 'number',
+        actual: ['string'],
+        count: 2,
+        examples: ['https://example.com/1', 'https://example.com/2']
+      },
+      {
+        schema: 'thing',
+        field: 'color',
+        kind: 'unexpected',
+        expected: undefined,
+        actual: ['string'],
+        count: 1,
+        examples: ['https://example.com/1']
+      }
+    ]);
+  });
+
+  it('throws if a required field is missing', function () {
+    const monitor = new SchemaMonitor();
+    assert.throws(
+      () => monitor.check('thing', schema, {id: 1}, null, 'Bad thing: $ERROR'),
+      error => error.code === 'VERSIONISTA:SCHEMA_MISMATCH' &&
+        error.message === `Bad thing: Object is missing property 'name'`
+    );
+    assert.strictEqual(monitor.report().drift[0].kind, 'missing');
+  });
+
+  it('only records drift when observing', function () {
+    const monitor = new SchemaMonitor();
+    const issues = monitor.observe('thing', schema, {id: 1});
+    assert.deepStrictEqual(issues.map(issue => issue.kind), ['missing']);
+    assert.strictEqual(monitor.report().checkedCount, 1);
+  });
+
+  it('does not report optional fields that are absent', function () {
+    const monitor = new SchemaMonitor();
+    monitor.check('thing', schema, {id: 1, name: 'a'});
+    assert.strictEqual(monitor.hasDrift, false);
+  });
+});
@@ -0,0 +1,729 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MockVersionista = require('./support/mock-versionista');
+const uuid = require('../lib/uuid');
+const {readWarc, readWarcFields} = require('./support/read-warc');
+const {runScript, removeDirectory, readJsonStream} = require('./support/scripts');
+const fixture = require('./fixtures/account.json');
+
+const scrape = (server, args, env) =>
+  runScript(server, 'scrape-versionista', args, env);
+
+describe('scrape-versionista', function () {
+  this.timeout(20000);
+
+  let server;
+  let outputDirectory;
+
+  beforeEach(function () {
+    outputDirectory = fs.mkdtempSync(path.join(os.tmpdir(), 'scrape-versionista-'));
+    server = new MockVersionista(fixture);
+    return server.start();
+  });
+
+  afterEach(function () {
+    removeDirectory(outputDirectory);
+    return server.stop();
+  });
+
+  it('scrapes versions in the requested time frame', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-02-15T00:00:00Z',
+      '--before', '2017-03-31T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const versions = readJsonStream(outputPath);
+        assert.deepStrictEqual(
+          versions.map(version => version.versionId).sort(),
+          [10485802, 10485803, 10486000, 10486100]);
+
+        const version = versions.find(version => version.versionId === 10486100);
+        assert.strictEqual(version.account, 'test-account');
+        assert.strictEqual(version.siteName, 'EPA - www.epa.gov');
+        assert.strictEqual(version.agency, 'EPA');
+        assert.strictEqual(version.pageUrl, 'https://www.epa.gov/climatechange');
+        assert.strictEqual(version.diff.hash.length, 64);
+        assert.strictEqual(version.textDiff.hash.length, 64);
+      });
+  });
+
+  it('saves raw content and diffs', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-03-05T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-content',
+      '--save-diffs'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const versions = readJsonStream(outputPath);
+        assert.strictEqual(versions.length, 1);
+        const version = versions[0];
+
+        assert.strictEqual(version.filePath, path.join('74273-6221569', 'version-10486100.html'));
+        const content = fs.readFileSync(path.join(outputDirectory, version.filePath), 'utf8');
+        assert.strictEqual(content, fixture.sites[0].pages[0].versions[3].content);
+
+        const diff = fs.readFileSync(path.join(outputDirectory, version.diff.path), 'utf8');
+        assert.ok(diff.includes('only diff of 10486100 against 10486000'));
+        const textDiff = fs.readFileSync(path.join(outputDirectory, version.textDiff.path), 'utf8');
+        assert.ok(textDiff.includes('text_only diff of 10486100 against 10486000'));
+      });
+  });
+
+  it('streams large content to disk with --max-memory-size', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-03-05T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-content',
+      '--max-memory-size', '0'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const version = readJsonStream(outputPath)[0];
+        const content = fs.readFileSync(path.join(outputDirectory, version.filePath), 'utf8');
+        assert.strictEqual(content, fixture.sites[0].pages[0].versions[3].content);
+        assert.strictEqual(version.length, Buffer.byteLength(content));
+        assert.deepStrictEqual(fs.readdirSync(path.dirname(path.join(outputDirectory, version.filePath))),
+          [path.basename(version.filePath)]);
+      });
+  });
+
+  it('skips content larger than --max-content-size', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--save-content',
+      '--max-content-size', '30'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const versions = readJsonStream(outputPath);
+        const skipped = versions.filter(version => version.contentSkipped);
+        assert.ok(skipped.length > 0, 'Some versions should be skipped');
+        skipped.forEach(version => {
+          assert.strictEqual(version.contentSkipped, 'too-large');
+          assert.ok(version.length > 30);
+          assert.ok(!version.filePath);
+        });
+        assert.ok(versions.some(version => version.filePath), 'Small content should be saved');
+      });
+  });
+
+  it('saves identical content only once with the hash layout', function () {
+    const sameContent = JSON.parse(JSON.stringify(fixture));
+    const versions = sameContent.sites[0].pages[0].versions;
+    versions[3].content = versions[0].content;
+    server.fixture = sameContent;
+
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-content',
+      '--content-layout', 'hash'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const output = readJsonStream(outputPath);
+        const first = output.find(version => version.versionId === 10485802);
+        const last = output.find(version => version.versionId === 10486100);
+        assert.strictEqual(first.filePath, path.join('by-hash', `${first.hash}.html`));
+        assert.strictEqual(last.filePath, first.filePath);
+
+        // 5 stored versions, but two have the same content.
+        const files = fs.readdirSync(path.join(outputDirectory, 'by-hash'));
+        assert.strictEqual(files.length, 4);
+      });
+  });
+
+  it('saves the requested types of diffs', function () {
+    const outputPath = path.join(outputDirectory, 'output.csv');
+    return scrape(server, [
+      '--after', '2017-03-05T00:00:00Z',
+      '--format', 'csv',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-diffs',
+      '--diff-types', 'only,screenshots'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const pageDirectory = path.join(outputDirectory, '74273-6221569');
+        assert.deepStrictEqual(fs.readdirSync(pageDirectory).sort(), [
+          'diff-10486100-screenshots.png',
+          'diff-10486100.html'
+        ]);
+
+        const [header, row] = fs.readFileSync(outputPath, 'utf8').split('\n');
+        const headers = header.split(',');
+        assert.deepStrictEqual(headers.slice(-3), [
+          'Screenshots Diff Length',
+          'Screenshots Diff Hash',
+          'Screenshots Diff File'
+        ]);
+        assert.strictEqual(
+          row.split(',').slice(-1)[0],
+          path.join('74273-6221569', 'diff-10486100-screenshots.png'));
+      });
+  });
+
+  it('makes diffs locally with --diff-engine local', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-03-05T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-diffs',
+      '--diff-engine', 'local'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(server.requestsTo(/^\/api\/ip_url\//).length, 0);
+
+        const version = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+        assert.strictEqual(version.diff.engine, 'local');
+        assert.strictEqual(version.textDiff.engine, 'local');
+        const textDiff = fs.readFileSync(path.join(outputDirectory, version.textDiff.path), 'utf8');
+        assert.ok(textDiff.includes('<ins>Two</ins>'), textDiff);
+      });
+  });
+
+  it('exits with an error for diff types the local engine cannot make', function () {
+    return scrape(server, ['--after', '2017-03-05T00:00:00Z', '--diff-engine', 'local', '--diff-types', 'only,screenshots'])
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(result.stderr.includes('screenshots'), result.stderr);
+      });
+  });
+
+  it('records normalized hashes with --normalization-rules', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    const rulesPath = path.join(outputDirectory, 'rules.json');
+    fs.writeFileSync(rulesPath, JSON.stringify({rules: [{pattern: 'against \\d+'}]}));
+
+    return scrape(server, [
+      '--after', '2017-03-05T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--save-content',
+      '--normalization-rules', rulesPath
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const version = JSON.parse(fs.readFileSync(outputPath, 'utf8'));
+        assert.strictEqual(version.normalizedHash, version.hash);
+        assert.ok(version.diff.normalizedHash);
+        assert.notStrictEqual(version.diff.normalizedHash, version.diff.hash);
+      });
+  });
+
+  it('saves the text of documents with --extract-text', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    const pdf = fs.readFileSync(path.join(__dirname, 'fixtures', 'document.pdf'), 'latin1');
+    server.fixture = JSON.parse(JSON.stringify(fixture));
+    server.fixture.sites[0].pages[1].versions[0].content = pdf;
+
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-content',
+      '--extract-text', 'pdf'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const versions = readJsonStream(outputPath);
+        const document = versions.find(version => version.versionId === 10485803);
+        assert.strictEqual(document.extractedText.path, path.join('74273-6221570', 'version-10485803-text.txt'));
+        assert.strictEqual(document.extractedText.length, 40);
+        const text = fs.readFileSync(path.join(outputDirectory, document.extractedText.path), 'utf8');
+        assert.strictEqual(text, 'Climate Change Report\nUpdated March 2017');
+
+        const pages = versions.filter(version => version !== document);
+        assert.ok(pages.every(version => !version.extractedText));
+      });
+  });
+
+  it('extracts text from documents streamed to disk', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    const pdf = fs.readFileSync(path.join(__dirname, 'fixtures', 'document.pdf'), 'latin1');
+    server.fixture = JSON.parse(JSON.stringify(fixture));
+    server.fixture.sites[0].pages[1].versions[0].content = pdf;
+
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--relative-paths', outputDirectory,
+      '--save-content',
+      '--max-memory-size', '0',
+      '--extract-text', 'pdf'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const document = readJsonStream(outputPath)
+          .find(version => version.versionId === 10485803);
+        assert.strictEqual(document.extractedText.length, 40);
+      });
+  });
+
+  it('requires --save-content for --extract-text', function () {
+    return scrape(server, ['--after', '2017-01-01T00:00:00Z', '--extract-text', 'pdf'])
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(result.stderr.includes('--save-content'), result.stderr);
+      });
+  });
+
+  it('does not repeat versions from the last run with --since-last-run', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    const statePath = path.join(outputDirectory, 'state.json');
+    fs.writeFileSync(statePath, JSON.stringify({
+      lastRun: {startTime: '2017-03-04T00:00:00Z', before: '2017-03-04T00:00:00Z'}
+    }));
+
+    return scrape(server, [
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--state', statePath,
+      '--since-last-run'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        // Version 10486000 was captured at exactly the end of the last run.
+        const versions = readJsonStream(outputPath);
+        assert.deepStrictEqual(versions.map(version => version.versionId), [10486100]);
+      });
+  });
+
+  it('resumes from a checkpoint without scraping completed pages again', function () {
+    const firstPath = path.join(outputDirectory, 'first.json');
+    const resumedPath = path.join(outputDirectory, 'resumed.json');
+    const checkpointPath = path.join(outputDirectory, 'checkpoint.json');
+
+    return scrape(server, [
+      '--after', '2017-02-15T00:00:00Z',
+      '--before', '2017-03-31T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', firstPath,
+      '--checkpoint', checkpointPath
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        server.clearRequests();
+        return scrape(server, [
+          '--format', 'json-stream',
+          '--output', resumedPath,
+          '--resume', checkpointPath
+        ]);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(server.requestsTo(/^\/api\/versions\//).length, 0);
+
+        const versionIds = filePath => readJsonStream(filePath)
+          .map(version => version.versionId)
+          .sort();
+        assert.deepStrictEqual(versionIds(resumedPath), versionIds(firstPath));
+        assert.deepStrictEqual(
+          versionIds(resumedPath),
+          [10485802, 10485803, 10486000, 10486100]);
+      });
+  });
+
+  it('streams json-stream output to stdout', function () {
+    return scrape(server, ['--after', '2017-01-01T00:00:00Z', '--format', 'json-stream'])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const lines = result.stdout.split('\n');
+        assert.strictEqual(lines.length, 6);
+        assert.strictEqual(lines[5], '');
+        assert.strictEqual(JSON.parse(lines[0]).account, 'test-account');
+      });
+  });
+
+  it('writes deleted versions to a separate file', function () {
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--deleted-versions'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        assert.ok(readJsonStream(outputPath).every(version => !version.deleted));
+
+        const deleted = readJsonStream(path.join(outputDirectory, 'deleted-versions.json'));
+        assert.strictEqual(deleted.length, 1);
+        assert.strictEqual(deleted[0].versionId, 10485900);
+        assert.strictEqual(deleted[0].deleted, true);
+        assert.strictEqual(deleted[0].pageUrl, 'https://www.epa.gov/climatechange');
+      });
+  });
+
+  it('writes a schema drift report instead of failing', function () {
+    server.versionsApiFailure = 'drift';
+    const outputPath = path.join(outputDirectory, 'output.json');
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', outputPath,
+      '--versions-source', 'api',
+      '--schema-drift'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(readJsonStream(outputPath).length, 5);
+
+        const reportPath = path.join(outputDirectory, 'schema-drift.json');
+        const report = JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+        assert.deepStrictEqual(
+          report.drift.map(drift => `${drift.schema}:${drift.kind}:${drift.field}`).sort(),
+          ['version:type:size', 'version:unexpected:thumbnail']);
+        assert.strictEqual(report.drift[0].count, 5);
+      });
+  });
+
+  it('writes WARC output', function () {
+    const outputPath = path.join(outputDirectory, 'output.warc.gz');
+    return scrape(server, [
+      '--after', '2017-03-02T00:00:00Z',
+      '--format', 'warc',
+      '--output', outputPath
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const records = readWarc(fs.readFileSync(outputPath));
+        assert.deepStrictEqual(
+          records.map(record => record.headers['WARC-Type']),
+          ['warcinfo', 'response', 'metadata', 'response', 'metadata', 'response', 'metadata']);
+
+        const pdf = records.find(record =>
+          record.headers['WARC-Target-URI'] === 'https://www.epa.gov/report.pdf');
+        assert.strictEqual(pdf.headers['WARC-Date'], '2017-03-03T00:00:00Z');
+        assert.strictEqual(
+          pdf.block.toString(),
+          'HTTP/1.1 200 OK\r\ncontent-type: application/pdf\r\ncontent-length: 23\r\n\r\n%PDF-1.4 not a real pdf');
+
+        const metadata = records.find(record =>
+          record.headers['WARC-Concurrent-To'] === pdf.headers['WARC-Record-ID']);
+        const fields = readWarcFields(metadata.block);
+        assert.strictEqual(fields.versionId, '10485803');
+        assert.strictEqual(fields.account, 'test-account');
+        assert.strictEqual(fields.hash.length, 64);
+        assert.strictEqual(fields['versionistaHeaders.content-type'], 'application/pdf');
+        assert.ok(!Object.keys(fields).some(name => name.includes('set-cookie')));
+      });
+  });
+
+  it('limits content size in WARC output without saving content', function () {
+    const outputPath = path.join(outputDirectory, 'output.warc');
+    const tempDirectory = path.join(outputDirectory, 'tmp');
+    fs.mkdirSync(tempDirectory);
+    return scrape(server, [
+      '--after', '2017-03-02T00:00:00Z',
+      '--format', 'warc',
+      '--output', outputPath,
+      '--max-content-size', '30',
+      '--max-memory-size', '0'
+    ], {TMPDIR: tempDirectory})
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const records = readWarc(fs.readFileSync(outputPath));
+        const responses = records.filter(record => record.headers['WARC-Type'] === 'response');
+        assert.strictEqual(responses.length, 1);
+        assert.ok(responses[0].block.toString().endsWith('%PDF-1.4 not a real pdf'));
+
+        const skipped = records
+          .filter(record => record.headers['WARC-Type'] === 'metadata')
+          .map(record => readWarcFields(record.block))
+          .filter(fields => fields.contentSkipped);
+        assert.strictEqual(skipped.length, 2);
+        skipped.forEach(fields => assert.strictEqual(fields.contentSkipped, 'too-large'));
+
+        assert.deepStrictEqual(fs.readdirSync(tempDirectory), []);
+      });
+  });
+
+  it('writes saved content to WARC output without downloading it again', function () {
+    const statePath = path.join(outputDirectory, 'state.json');
+    const checkpointPath = path.join(outputDirectory, 'checkpoint.json');
+    const options = [
+      '--after', '2017-03-02T00:00:00Z',
+      '--before', '2017-03-31T00:00:00Z',
+      '--format', 'warc',
+      '--save-content'
+    ];
+    const responses = warcPath => readWarc(fs.readFileSync(warcPath))
+      .filter(record => record.headers['WARC-Type'] === 'response')
+      .map(record => record.block.toString())
+      .sort();
+
+    return scrape(server, [
+      ...options,
+      '--output', path.join(outputDirectory, 'first.warc'),
+      '--state', statePath,
+      '--checkpoint', checkpointPath
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        server.clearRequests();
+        // Content already in the state file is read from disk.
+        return scrape(server, [
+          ...options,
+          '--output', path.join(outputDirectory, 'second.warc'),
+          '--state', statePath
+        ]);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(server.requestsTo(/\/download\/?$/).length, 0);
+        assert.strictEqual(responses(path.join(outputDirectory, 'second.warc')).length, 3);
+
+        // And so is content for pages completed before a checkpoint.
+        return scrape(server, [
+          '--format', 'warc',
+          '--save-content',
+          '--output', path.join(outputDirectory, 'resumed.warc'),
+          '--resume', checkpointPath
+        ]);
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(server.requestsTo(/\/download\/?$/).length, 0);
+        assert.deepStrictEqual(
+          responses(path.join(outputDirectory, 'resumed.warc')),
+          responses(path.join(outputDirectory, 'first.warc')));
+      });
+  });
+
+  it('writes a WARC file for each site with --group-by-site', function () {
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'warc',
+      '--output', path.join(outputDirectory, 'output.warc'),
+      '--group-by-site'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const files = fs.readdirSync(outputDirectory).sort();
+        assert.strictEqual(files.length, 2);
+        assert.ok(files[0].startsWith('EPA - www.epa.gov_'));
+        assert.ok(files[0].endsWith('.warc'));
+
+        const records = readWarc(fs.readFileSync(path.join(outputDirectory, files[1])));
+        assert.strictEqual(records.filter(record => record.headers['WARC-Type'] === 'response').length, 1);
+      });
+  });
+
+  it('writes CSV output', function () {
+    return scrape(server, ['--after', '2017-01-01T00:00:00Z', '--format', 'csv'])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const lines = result.stdout.split('\n');
+        assert.ok(lines[0].startsWith('Index,UUID,Output Date/Time,Agency'));
+        assert.strictEqual(lines.length, 6);
+
+        // UUIDs are based on the version, not random.
+        const uuids = lines.slice(1).map(line => line.split(',')[1]);
+        assert.ok(uuids.includes(uuid.forVersion('74273', '6221569', 10486100)));
+      });
+  });
+
+  it('uses formatters from a module path', function () {
+    const formatterPath = path.join(__dirname, 'fixtures', 'count-formatter.js');
+    return scrape(server, ['--after', '2017-01-01T00:00:00Z', '--format', formatterPath])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(result.stdout, 'test-account: 5 versions\n');
+      });
+  });
+
+  it('exits with an error for unknown formats', function () {
+    return scrape(server, ['--format', 'parquet'])
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(result.stderr.includes('Unknown format'));
+        assert.strictEqual(server.requestsTo(/./).length, 0);
+      });
+  });
+
+  it('scrapes several accounts at once with --accounts', function () {
+    const accountsPath = path.join(outputDirectory, 'accounts.json');
+    fs.writeFileSync(accountsPath, JSON.stringify([
+      {name: 'first', email: fixture.email, passwordEnv: 'FIRST_PASSWORD'},
+      {name: 'second', email: fixture.email, passwordEnv: 'SECOND_PASSWORD', rate: 600}
+    ]));
+
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--accounts', accountsPath,
+      '--output', path.join(outputDirectory, 'versions.json'),
+      '--prometheus', path.join(outputDirectory, 'metrics.prom')
+    ], {
+      VERSIONISTA_PASSWORD: '',
+      FIRST_PASSWORD: fixture.password,
+      SECOND_PASSWORD: fixture.password
+    })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        // Each account logs in separately.
+        assert.strictEqual(server.requestsTo(/^\/login$/).filter(r => r.method === 'POST').length, 2);
+
+        ['first', 'second'].forEach(name => {
+          const versions = readJsonStream(path.join(outputDirectory, name, 'versions.json'));
+          assert.strictEqual(versions.length, 5);
+          assert.ok(versions.every(version => version.account === name));
+        });
+
+        const summary = JSON.parse(fs.readFileSync(path.join(outputDirectory, 'summary.json'), 'utf8'));
+        assert.deepStrictEqual(
+          summary.accounts.map(account => [account.account, account.versions, account.errors]),
+          [['first', 5, 0], ['second', 5, 0]]);
+
+        const metrics = fs.readFileSync(path.join(outputDirectory, 'metrics.prom'), 'utf8');
+        assert.ok(metrics.includes('versionista_scraper_processed{account="first",item="versions"} 5'));
+        assert.ok(metrics.includes('versionista_scraper_processed{account="second",item="versions"} 5'));
+      });
+  });
+
+  it('replays a recorded run with --replay', function () {
+    const recordingPath = path.join(outputDirectory, 'recording');
+    const scrapeArgs = (name) => [
+      '--after', '2017-01-01T00:00:00Z',
+      '--format', 'json-stream',
+      '--output', path.join(outputDirectory, name, 'versions.json'),
+      '--save-content',
+      '--save-diffs'
+    ];
+
+    return scrape(server, scrapeArgs('recorded').concat(['--record', recordingPath]))
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        server.clearRequests();
+        return scrape(server, scrapeArgs('replayed').concat(['--replay', recordingPath]), {
+          VERSIONISTA_PASSWORD: ''
+        });
+      })
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.strictEqual(server.requestsTo(/./).length, 0);
+
+        const recorded = readJsonStream(path.join(outputDirectory, 'recorded', 'versions.json'));
+        const replayed = readJsonStream(path.join(outputDirectory, 'replayed', 'versions.json'));
+        assert.strictEqual(replayed.length, 5);
+        // Pages are written as they finish, so they may be in any order.
+        const summarize = versions => versions
+          .map(version => [version.uuid, version.hash, version.diff && version.diff.hash])
+          .sort((a, b) => a[0].localeCompare(b[0]));
+        assert.deepStrictEqual(summarize(replayed), summarize(recorded));
+      });
+  });
+
+  it('writes errors as JSON lines with --errors-format jsonl', function () {
+    server.failRequestsTo(/^\/api\/ip_url\/.*\/text_only$/, 400);
+    const errorsPath = path.join(outputDirectory, 'errors.jsonl');
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--output', path.join(outputDirectory, 'versions.json'),
+      '--errors', errorsPath,
+      '--errors-format', 'jsonl'
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+
+        const records = fs.readFileSync(errorsPath, 'utf8')
+          .split('\n')
+          .filter(line => line)
+          .map(line => JSON.parse(line));
+        assert.ok(records.length > 0);
+        records.forEach(record => {
+          assert.strictEqual(record.type, 'DiffHostError');
+          assert.strictEqual(record.code, 'VERSIONISTA:API_ERROR');
+          assert.strictEqual(record.operation, 'diff');
+          assert.strictEqual(record.diffType, 'text_only');
+          assert.ok(record.siteId && record.pageId && record.versionId, JSON.stringify(record));
+        });
+      });
+  });
+
+  it('exits with an error for unknown error formats', function () {
+    return scrape(server, ['--errors-format', 'xml'])
+      .then(result => {
+        assert.strictEqual(result.code, 1);
+        assert.ok(result.stderr.includes('--errors-format must be one of'));
+      });
+  });
+
+  it('writes a run report with --run-report and --prometheus', function () {
+    const prometheusPath = path.join(outputDirectory, 'metrics.prom');
+    return scrape(server, [
+      '--after', '2017-01-01T00:00:00Z',
+      '--output', path.join(outputDirectory, 'versions.json'),
+      '--run-report',
+      '--prometheus', prometheusPath
+    ])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+
+        const report = JSON.parse(fs.readFileSync(path.join(outputDirectory, 'run-report.json'), 'utf8'));
+        assert.strictEqual(report.counts.versions, 5);
+        assert.strictEqual(report.counts.errors, 0);
+        assert.ok(report.counts.pages > 0);
+        assert.ok(report.byKind['login'].requests >= 1);
+        assert.ok(report.byKind['versions-api'].requests > 0);
+
+        const metrics = fs.readFileSync(prometheusPath, 'utf8');
+        assert.ok(/^versionista_scraper_processed\{account="[^"]+",item="versions"\} 5$/m.test(metrics), metrics);
+      });
+  });
+
+  it('logs request stats with --rate-mode adaptive', function () {
+    return scrape(server, ['--after', '2017-01-01T00:00:00Z', '--rate-mode', 'adaptive'])
+      .then(result => {
+        assert.strictEqual(result.code, 0, result.stderr);
+        assert.ok(/\d+ requests \([\d.]+ per minute\), 0 retries, 0 throttled/.test(result.stderr), result.stderr);
+        assert.ok(result.stderr.includes('parallel requests went as low as'));
+      });
+  });
+});
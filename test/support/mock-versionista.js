@@ -0,0 +1,466 @@
+'use strict';
+
+const crypto = require('crypto');
+const http = require('http');
+const querystring = require('querystring');
+const url = require('url');
+
+const SESSION_COOKIE = 'versionista_session';
+
+/**
+ * A stand-in for Versionista that serves an account's data from a fixture
+ * instead of the real thing. Like Versionista, diffs are served from a
+ * separate "diff host" (which is just a second server here), so the whole
+ * redirect + POST + fetch procedure for diffs can be exercised.
+ *
+ * The fixture looks like:
+ *   {
+ *     email: 'test@example.com',
+ *     password: 'password',
+ *     sites: [{
+ *       id, name, base,
+ *       // Optional. Overrides for the site's `data` in the site API.
+ *       apiData,
+ *       pages: [{
+ *         id, url, title, added,
+ *         // Optional. If true, the pages CSV won't link to the page's latest
+ *         // version (and so won't identify the page).
+ *         unlinkedInCsv,
+ *         // In ascending order by date. Records are the same as the versions
+ *         // API, plus a `content` property for the raw content.
+ *         versions: [{id, rc, fst, lst, size, content_type, stored, content}]
+ *       }]
+ *     }]
+ *   }
+ */
+class MockVersionista {
+  constructor (fixture) {
+    this.fixture = fixture;
+    // Set to 'http' or 'schema' to make the versions API fail in that way, or
+    // 'drift' to make it return an unknown field and a field of the wrong type
+    // (but not fail outright).
+    this.versionsApiFailure = null;
+    // Content type to serve (non-screenshot) diffs with, or null for none.
+    this.diffContentType = 'text/html';
+    this.sessions = new Set();
+    this.requests = [];
+    this.failures = [];
+    this.server = http.createServer(this.handleRequest.bind(this));
+    this.diffServer = http.createServer(this.handleDiffRequest.bind(this));
+  }
+
+  /**
+   * Start listening on random local ports.
+   * @returns {Promise<MockVersionista>}
+   */
+  start () {
+    return Promise.all([listen(this.server), listen(this.diffServer)])
+      .then(([port, diffPort]) => {
+        this.url = `http://127.0.0.1:${port}`;
+        this.diffUrl = `http://127.0.0.1:${diffPort}`;
+        return this;
+      });
+  }
+
+  /**
+   * Stop listening.
+   * @returns {Promise}
+   */
+  stop () {
+    return Promise.all([close(this.server), close(this.diffServer)]);
+  }
+
+  /**
+   * Get the requests that were made to a path matching a regular expression.
+   * @param {RegExp} pattern
+   * @returns {Array<{method: String, path: String}>}
+   */
+  requestsTo (pattern) {
+    return this.requests.filter(request => pattern.test(request.path));
+  }
+
+  /**
+   * Respond to requests for paths matching a regular expression (on either
+   * Versionista or the diff host) with an error.
+   * @param {RegExp} pattern
+   * @param {Number} [status=500]
+   */
+  failRequestsTo (pattern, status = 500) {
+    this.failures.push({pattern, status});
+  }
+
+  /** Forget the requests made so far. */
+  clearRequests () {
+    this.requests = [];
+  }
+
+  /** Forget all existing sessions, as if they had expired. */
+  expireSessions () {
+    this.sessions.clear();
+  }
+
+  findPage (siteId, pageId) {
+    const site = this.fixture.sites.find(site => site.id === siteId);
+    const page = site && site.pages.find(page => page.id === pageId);
+    return page ? {site, page} : {};
+  }
+
+  findVersion (page, versionId) {
+    return page.versions.find(version =>
+      !version.deleted && version.id.toString() === versionId);
+  }
+
+  handleRequest (request, response) {
+    const requestUrl = url.parse(request.url);
+    this.requests.push({method: request.method, path: requestUrl.pathname});
+    if (this.sendFailure(requestUrl, response)) return;
+
+    readBody(request).then(body => {
+      if (requestUrl.pathname === '/login') {
+        return this.handleLogin(request, response, body);
+      }
+      if (requestUrl.pathname === '/') {
+        return send(response, 200, 'text/html', '<html><body><h1>Versionista</h1></body></html>');
+      }
+      if (!this.isLoggedIn(request)) {
+        return redirect(response, `${this.url}/login`);
+      }
+
+      const route = routes.find(route => route.pattern.test(requestUrl.pathname));
+      if (!route) {
+        return send(response, 404, 'text/plain', 'Not found');
+      }
+      const params = requestUrl.pathname.match(route.pattern).slice(1);
+      return route.handler.call(this, response, ...params);
+    })
+      .catch(error => send(response, 500, 'text/plain', error.stack));
+  }
+
+  sendFailure (requestUrl, response) {
+    const failure = this.failures.find(failure => failure.pattern.test(requestUrl.pathname));
+    if (failure) {
+      send(response, failure.status, 'text/plain', 'Simulated failure');
+    }
+    return !!failure;
+  }
+
+  handleLogin (request, response, body) {
+    if (request.method === 'POST') {
+      const form = querystring.parse(body);
+      if (form.em === this.fixture.email && form.pw === this.fixture.password) {
+        const session = crypto.randomBytes(8).toString('hex');
+        this.sessions.add(session);
+        response.setHeader('Set-Cookie', `${SESSION_COOKIE}=${session}; Path=/`);
+        return redirect(response, `${this.url}/home`);
+      }
+    }
+
+    const alert = request.method === 'POST'
+      ? '<div class="alert">Incorrect e-mail or password</div>'
+      : '';
+    return send(response, 200, 'text/html', `<html><body>
+      ${alert}
+      <form method="post" action="/login">
+        <input name="em"><input name="pw" type="password">
+        <button>Log in</button>
+      </form>
+    </body></html>`);
+  }
+
+  isLoggedIn (request) {
+    const cookies = querystring.parse(request.headers.cookie || '', '; ');
+    return this.sessions.has(cookies[SESSION_COOKIE]);
+  }
+
+  sendPagesCsv (response) {
+    const rows = [[
+      'Parent Site', 'Page URL', 'Page Status', 'Versions', 'Added', 'Last New',
+      'Response Code', 'Last Checked', 'Title', 'Last Version', 'Last Change'
+    ]];
+    for (const site of this.fixture.sites) {
+      for (const page of site.pages) {
+        const versions = liveVersions(page);
+        const latest = versions[versions.length - 1];
+        rows.push([
+          site.name,
+          pageUrl(site, page),
+          'monitored',
+          versions.length,
+          isoDate(page.added),
+          latest ? isoDate(latest.fst) : 'none',
+          latest ? latest.rc : '',
+          latest ? isoDate(latest.lst) : 'never',
+          page.title,
+          latest && !page.unlinkedInCsv ? `${this.url}/${site.id}/${page.id}/${latest.id}/` : '',
+          latest && !page.unlinkedInCsv ? `${this.url}/${site.id}/${page.id}/${latest.id}:0/` : ''
+        ]);
+      }
+    }
+
+    return send(response, 200, 'text/csv', toCsv(rows));
+  }
+
+  sendSiteApi (response, siteId) {
+    const site = this.fixture.sites.find(site => site.id === siteId);
+    if (!site) {
+      return send(response, 404, 'application/json', '{"error": "Not found"}');
+    }
+
+    const pages = {};
+    for (const page of site.pages) {
+      const versions = liveVersions(page);
+      const latest = versions[versions.length - 1];
+      pages[page.id] = {
+        title: page.title,
+        flags: [],
+        url: page.url,
+        lchk: latest && latest.lst,
+        beacon: 1,
+        vers: versions.length,
+        id: page.id,
+        st: 'A',
+        added: page.added,
+        mime: latest ? latest.content_type : '',
+        cur_ver: latest ? latest.id : 0,
+        lnew: latest && latest.fst
+      };
+    }
+
+    return sendJson(response, {
+      data: Object.assign({
+        title_alt: site.name,
+        base: site.base,
+        folder: 0,
+        st: 'A',
+        id: site.id,
+        notes: ''
+      }, site.apiData),
+      pages
+    });
+  }
+
+  sendVersionsApi (response, siteId, pageId) {
+    const {page} = this.findPage(siteId, pageId);
+    if (!page) {
+      return send(response, 404, 'application/json', '{"error": "Not found"}');
+    }
+    if (this.versionsApiFailure === 'http') {
+      return send(response, 500, 'text/html', '<html><body>Server error</body></html>');
+    }
+
+    // The API lists versions newest first.
+    const versions = page.versions
+      .map(version => {
+        const record = Object.assign({}, version);
+        delete record.content;
+        if (this.versionsApiFailure === 'schema') {
+          delete record.rc;
+        }
+        else if (this.versionsApiFailure === 'drift' && !record.deleted) {
+          record.size = record.size.toString();
+          record.thumbnail = `/thumbnails/${record.id}.png`;
+        }
+        return record;
+      })
+      .reverse();
+    return sendJson(response, versions);
+  }
+
+  sendPageHtml (response, siteId, pageId) {
+    const {site, page} = this.findPage(siteId, pageId);
+    if (!page) {
+      return send(response, 404, 'text/html', '<html><body>Not found</body></html>');
+    }
+
+    // Like the API, the table lists versions newest first.
+    const rows = liveVersions(page).reverse().map(version => {
+      const date = `<span class="gmt">${version.fst}</span>`;
+      const link = version.stored
+        ? `<a href="/${site.id}/${page.id}/${version.id}/">${date}</a>`
+        : date;
+      const status = parseInt(version.rc, 10);
+      const failure = status >= 400
+        ? `<span class="failpage" title="Error: ${version.rc}"></span>`
+        : '';
+      return `<tr class="version" id="version_${version.id}"><td>${failure}</td><td>${link}</td></tr>`;
+    });
+
+    return send(response, 200, 'text/html', `<html><body>
+      <h1>${page.title}</h1>
+      <table><tbody id="pageTableBody">${rows.join('\n')}</tbody></table>
+    </body></html>`);
+  }
+
+  sendPageVersionsCsv (response, siteId, pageId) {
+    const {page} = this.findPage(siteId, pageId);
+    if (!page) {
+      return send(response, 404, 'text/html', '<html><body>Not found</body></html>');
+    }
+
+    const rows = [[
+      'First Seen', 'Last Seen', 'Response Code', 'Size', 'MIME Type',
+      'Load Time (ms)', 'Redirected To', 'Title'
+    ]];
+    for (const version of liveVersions(page)) {
+      rows.push([
+        isoDate(version.fst),
+        isoDate(version.lst),
+        version.rc,
+        version.size,
+        version.content_type,
+        250,
+        version.final_url || '',
+        version.title || ''
+      ]);
+    }
+
+    return send(response, 200, 'text/csv', toCsv(rows));
+  }
+
+  sendRawContent (response, siteId, pageId, versionId) {
+    const {page} = this.findPage(siteId, pageId);
+    const version = page && this.findVersion(page, versionId);
+    if (!version || !version.stored) {
+      return send(response, 404, 'text/html', '<html><body>Not found</body></html>');
+    }
+
+    return send(response, 200, version.content_type, version.content);
+  }
+
+  redirectToDiff (response, siteId, pageId, versionId, compareToId) {
+    const {page} = this.findPage(siteId, pageId);
+    const version = page && this.findVersion(page, versionId);
+    const compareTo = compareToId === '0' || (page && this.findVersion(page, compareToId));
+    if (!version || !compareTo) {
+      // Like Versionista, bad comparisons just go back to a normal page.
+      return redirect(response, `${this.url}/`);
+    }
+
+    const token = [siteId, pageId, versionId, compareToId].join('-');
+    return redirect(response, `${this.diffUrl}/pa/${token}/`);
+  }
+
+  handleDiffRequest (request, response) {
+    const requestUrl = url.parse(request.url);
+    this.requests.push({
+      method: request.method,
+      path: requestUrl.pathname,
+      diffHost: true
+    });
+    if (this.sendFailure(requestUrl, response)) return;
+
+    if (/^\/pa\/[^/]+\/$/.test(requestUrl.pathname)) {
+      return send(response, 200, 'text/html', '<html><body>Diff viewer</body></html>');
+    }
+
+    const apiMatch = requestUrl.pathname.match(/^\/api\/ip_url\/pa\/([^/]+)\/([^/]+)$/);
+    if (apiMatch && request.method === 'POST') {
+      const [, token, diffType] = apiMatch;
+      if (!diffTypes.includes(diffType)) {
+        return send(response, 400, 'text/plain', `Unknown diff type: ${diffType}`);
+      }
+      return send(response, 200, 'text/plain', `/diff/${token}/${diffType}`);
+    }
+
+    const diffMatch = requestUrl.pathname.match(/^\/diff\/([^/]+)\/([^/]+)$/);
+    if (diffMatch) {
+      const [, token, diffType] = diffMatch;
+      const [, , versionId, compareToId] = token.split('-');
+      if (diffType === 'screenshots') {
+        return send(response, 200, 'image/png', screenshotDiff);
+      }
+      return send(response, 200, this.diffContentType, formatDiff(diffType, versionId, compareToId));
+    }
+
+    return send(response, 404, 'text/plain', 'Not found');
+  }
+}
+
+const diffTypes = ['edits', 'screenshots', 'html', 'filtered', 'only', 'text', 'text_only'];
+
+// Screenshot diffs are images. This isn't a real one, but has the PNG header
+// and some bytes that aren't valid UTF-8.
+const screenshotDiff = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0xff, 0xfe, 0x00, 0x01]);
+
+const routes = [
+  {pattern: /^\/download\/urls\.csv$/, handler: MockVersionista.prototype.sendPagesCsv},
+  {pattern: /^\/download\/page-([^/]+)-([^/]+)\.csv$/, handler: MockVersionista.prototype.sendPageVersionsCsv},
+  {pattern: /^\/api\/site\/([^/]+)\/?$/, handler: MockVersionista.prototype.sendSiteApi},
+  {pattern: /^\/api\/versions\/([^/]+)\/([^/]+)\/?$/, handler: MockVersionista.prototype.sendVersionsApi},
+  {pattern: /^\/([^/]+)\/([^/]+)\/([^/:]+)\/download\/?$/, handler: MockVersionista.prototype.sendRawContent},
+  {pattern: /^\/([^/]+)\/([^/]+)\/([^/:]+):([^/]+)\/?$/, handler: MockVersionista.prototype.redirectToDiff},
+  {pattern: /^\/([^/]+)\/([^/]+)\/?$/, handler: MockVersionista.prototype.sendPageHtml}
+];
+
+/**
+ * Create the content of a diff. Like Versionista, diffs include a block of
+ * Versionista-specific markup that is not really part of the diff.
+ */
+function formatDiff (diffType, versionId, compareToId) {
+  return `<html><head>
+<!-- Versionista general -->
+<script>var generatedAt = ${Date.now()};</script>
+<!-- End Versionista general -->
+</head><body><p>${diffType} diff of ${versionId} against ${compareToId}</p></body></html>`;
+}
+
+function liveVersions (page) {
+  return page.versions.filter(version => !version.deleted);
+}
+
+function pageUrl (site, page) {
+  return /^\w+:\/\//.test(page.url) ? page.url : site.base + page.url;
+}
+
+function isoDate (timestamp) {
+  return new Date(timestamp * 1000).toISOString();
+}
+
+function toCsv (rows) {
+  return rows
+    .map(row => row
+      .map(cell => {
+        const text = cell == null ? '' : cell.toString();
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+      })
+      .join(','))
+    .join('\n');
+}
+
+function readBody (request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    request.on('data', chunk => chunks.push(chunk));
+    request.on('end', () => resolve(Buffer.concat(chunks).toString()));
+    request.on('error', reject);
+  });
+}
+
+function send (response, status, contentType, body) {
+  const headers = {'Content-Length': Buffer.byteLength(body)};
+  if (contentType) headers['Content-Type'] = contentType;
+  response.writeHead(status, headers);
+  response.end(body);
+}
+
+function sendJson (response, data) {
+  send(response, 200, 'application/json', JSON.stringify(data));
+}
+
+function redirect (response, location) {
+  response.writeHead(302, {Location: location});
+  response.end();
+}
+
+function listen (server) {
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => resolve(server.address().port));
+  });
+}
+
+function close (server) {
+  return new Promise(resolve => server.close(() => resolve()));
+}
+
+module.exports = MockVersionista;
@@ -0,0 +1,53 @@
+'use strict';
+
+const zlib = require('zlib');
+
+/**
+ * A minimal WARC parser for checking output in tests.
+ * @param {Buffer} data Contents of a `.warc` or `.warc.gz` file
+ * @returns {Array<{version: String, headers: Object, block: Buffer}>}
+ */
+function readWarc (data) {
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    data = zlib.gunzipSync(data);
+  }
+
+  const records = [];
+  let offset = 0;
+  while (offset < data.length) {
+    const headerEnd = data.indexOf('\r\n\r\n', offset);
+    const [version, ...lines] = data.slice(offset, headerEnd).toString().split('\r\n');
+    const headers = {};
+    lines.forEach(line => {
+      const index = line.indexOf(':');
+      headers[line.slice(0, index)] = line.slice(index + 1).trim();
+    });
+
+    const blockStart = headerEnd + 4;
+    const blockEnd = blockStart + parseInt(headers['Content-Length'], 10);
+    records.push({version, headers, block: data.slice(blockStart, blockEnd)});
+
+    if (data.slice(blockEnd, blockEnd + 4).toString() !== '\r\n\r\n') {
+      throw new Error(`Record ${records.length} is not followed by two CRLFs`);
+    }
+    offset = blockEnd + 4;
+  }
+
+  return records;
+}
+
+/**
+ * Parse the block of an `application/warc-fields` record.
+ * @param {Buffer} block
+ * @returns {Object}
+ */
+function readWarcFields (block) {
+  const fields = {};
+  block.toString().split('\r\n').filter(line => line).forEach(line => {
+    const index = line.indexOf(':');
+    fields[line.slice(0, index)] = line.slice(index + 1).trim();
+  });
+  return fields;
+}
+
+module.exports = {readWarc, readWarcFields};
@@ -0,0 +1,67 @@
+'use strict';
+
+const childProcess = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const fixture = require('../fixtures/account.json');
+
+const binPath = path.join(__dirname, '..', '..', 'bin');
+
+/**
+ * Run one of the scripts in `bin/` against a mock server.
+ * @param {MockVersionista} server
+ * @param {String} script Name of the script, e.g. `scrape-versionista`
+ * @param {String[]} args
+ * @param {Object} [env] Additional environment variables
+ * @returns {Promise<{code: Number, stdout: String, stderr: String}>}
+ */
+function runScript (server, script, args, env = {}) {
+  return new Promise(resolve => {
+    childProcess.execFile(
+      process.execPath,
+      [path.join(binPath, script), ...args],
+      {
+        env: Object.assign({}, process.env, {
+          VERSIONISTA_EMAIL: fixture.email,
+          VERSIONISTA_PASSWORD: fixture.password,
+          VERSIONISTA_NAME: 'test-account',
+          VERSIONISTA_URL: server.url
+        }, env)
+      },
+      (error, stdout, stderr) => {
+        resolve({code: error ? error.code : 0, stdout, stderr});
+      }
+    );
+  });
+}
+
+/**
+ * Recursively remove a directory and everything in it.
+ * @param {String} directory
+ */
+function removeDirectory (directory) {
+  for (const entry of fs.readdirSync(directory, {withFileTypes: true})) {
+    const entryPath = path.join(directory, entry.name);
+    if (entry.isDirectory()) {
+      removeDirectory(entryPath);
+    }
+    else {
+      fs.unlinkSync(entryPath);
+    }
+  }
+  fs.rmdirSync(directory);
+}
+
+/**
+ * Read a file with one JSON object per line.
+ * @param {String} filePath
+ * @returns {Object[]}
+ */
+function readJsonStream (filePath) {
+  return fs.readFileSync(filePath, 'utf8')
+    .split('\n')
+    .filter(line => line.trim())
+    .map(line => JSON.parse(line));
+}
+
+module.exports = {runScript, removeDirectory, readJsonStream};
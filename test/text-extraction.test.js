@@ -0,0 +1,120 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const extractText = require('../lib/text-extraction');
+const {removeDirectory} = require('./support/scripts');
+
+const fixturePath = name => path.join(__dirname, 'fixtures', name);
+
+describe('extractText', function () {
+  this.timeout(10000);
+
+  it('extracts text from PDFs', function () {
+    return extractText(fs.readFileSync(fixturePath('document.pdf')), 'application/pdf')
+      .then(result => {
+        assert.strictEqual(result.text, 'Climate Change Report\nUpdated March 2017');
+        assert.strictEqual(result.length, result.text.length);
+        assert.ok(/^[0-9a-f]{64}$/.test(result.hash));
+      });
+  });
+
+  it('extracts text from files', function () {
+    return Promise.all([
+      extractText.fromFile(fixturePath('document.pdf'), 'application/pdf'),
+      extractText.fromFile(fixturePath('does-not-exist.html'), 'text/html')
+    ])
+      .then(([pdf, html]) => {
+        assert.strictEqual(pdf.text, 'Climate Change Report\nUpdated March 2017');
+        assert.strictEqual(html, null);
+      });
+  });
+
+  it('extracts text from Word documents', function () {
+    const contentType = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+    return extractText(fs.readFileSync(fixturePath('document.docx')), contentType)
+      .then(result => {
+        assert.strictEqual(result.text, 'Climate Change Report\n\nUpdated March 2017');
+      });
+  });
+
+  it('ignores whitespace differences in the text', function () {
+    return Promise.all([
+      extractText(Buffer.from('One  \r\nTwo\n\n\n\nThree\n'), 'text/plain; charset=utf-8'),
+      extractText(Buffer.from('One\nTwo\n\nThree'), 'text/plain')
+    ])
+      .then(([first, second]) => {
+        assert.strictEqual(first.text, 'One\nTwo\n\nThree');
+        assert.strictEqual(first.hash, second.hash);
+      });
+  });
+
+  it('resolves to null for other kinds of content', function () {
+    return Promise.all([
+      extractText(Buffer.from('<p>Hi</p>'), 'text/html'),
+      extractText(Buffer.from('Hi'), 'text/plain', ['pdf'])
+    ])
+      .then(results => assert.deepStrictEqual(results, [null, null]));
+  });
+
+  it('rejects with a TextExtractionError for broken documents', function () {
+    return extractText(Buffer.from('%PDF-1.4 not a real pdf'), 'application/pdf')
+      .then(
+        () => assert.fail('Extraction should have failed'),
+        error => {
+          assert.strictEqual(error.code, 'VERSIONISTA:TEXT_EXTRACTION_FAILED');
+          assert.strictEqual(error.operation, 'text');
+        });
+  });
+
+  describe('saveVersionText', function () {
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'versionista-text-'));
+    });
+
+    afterEach(function () {
+      removeDirectory(directory);
+    });
+
+    it('saves text next to the content and adds it to the version', function () {
+      const contentPath = path.join(directory, 'version-1.txt');
+      const version = {versionId: '1'};
+      const content = {headers: {'content-type': 'text/plain'}, body: Buffer.from('Hi  \n')};
+      return extractText.saveVersionText(version, content, contentPath, {
+        types: ['text'],
+        cleanPath: filePath => path.relative(directory, filePath)
+      })
+        .then(() => {
+          assert.strictEqual(version.extractedText.path, 'version-1-text.txt');
+          assert.strictEqual(version.extractedText.length, 2);
+          assert.strictEqual(
+            fs.readFileSync(path.join(directory, 'version-1-text.txt'), 'utf8'),
+            'Hi');
+        });
+    });
+
+    it('does nothing without document types to extract', function () {
+      const version = {versionId: '1'};
+      const content = {headers: {'content-type': 'text/plain'}, body: Buffer.from('Hi')};
+      return extractText.saveVersionText(version, content, path.join(directory, 'version-1.txt'), {})
+        .then(() => {
+          assert.strictEqual(version.extractedText, undefined);
+          assert.deepStrictEqual(fs.readdirSync(directory), []);
+        });
+    });
+  });
+
+  describe('parseDocumentTypes', function () {
+    it('parses a list of document types', function () {
+      assert.deepStrictEqual(extractText.parseDocumentTypes('pdf, docx'), ['pdf', 'docx']);
+    });
+
+    it('throws for unknown types', function () {
+      assert.throws(() => extractText.parseDocumentTypes('pdf,xls'), /xls/);
+    });
+  });
+});
@@ -0,0 +1,31 @@
+'use strict';
+
+const assert = require('assert');
+const uuid = require('../lib/uuid');
+
+describe('uuid', function () {
+  it('creates random UUIDs', function () {
+    assert.ok(/^[0-9a-f]{8}-[0-9a-f]{4}-4[0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/.test(uuid()));
+    assert.notStrictEqual(uuid(), uuid());
+  });
+
+  describe('fromName', function () {
+    it('creates version 5 UUIDs', function () {
+      // Example from Python's `uuid.uuid5(uuid.NAMESPACE_DNS, 'python.org')`
+      assert.strictEqual(
+        uuid.fromName('python.org', '6ba7b810-9dad-11d1-80b4-00c04fd430c8'),
+        '886313e1-3b8a-5372-9b90-0c9aee199e5d');
+    });
+  });
+
+  describe('forVersion', function () {
+    it('is the same for the same IDs, regardless of type', function () {
+      assert.strictEqual(
+        uuid.forVersion('74273', '6221569', 10485802),
+        uuid.forVersion(74273, 6221569, '10485802'));
+      assert.notStrictEqual(
+        uuid.forVersion('74273', '6221569', 10485802),
+        uuid.forVersion('74273', '6221569', 10485803));
+    });
+  });
+});
@@ -0,0 +1,744 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Versionista = require('..');
+const MockVersionista = require('./support/mock-versionista');
+const uuid = require('../lib/uuid');
+const errors = require('../lib/errors');
+const Normalizer = require('../lib/normalization');
+const SchemaMonitor = require('../lib/schema-monitor');
+const fixture = require('./fixtures/account.json');
+
+describe('Versionista', function () {
+  let server;
+  let versionista;
+
+  beforeEach(function () {
+    server = new MockVersionista(fixture);
+    return server.start().then(() => {
+      versionista = new Versionista({
+        email: fixture.email,
+        password: fixture.password,
+        url: server.url,
+        client: {sleepEvery: 0}
+      });
+    });
+  });
+
+  afterEach(function () {
+    return server.stop();
+  });
+
+  describe('#logIn', function () {
+    it('logs in only once', function () {
+      return versionista.logIn()
+        .then(() => versionista.logIn())
+        .then(() => {
+          assert.strictEqual(server.requestsTo(/^\/login$/).length, 1);
+        });
+    });
+
+    it('rejects with details when credentials are wrong', function () {
+      const badLogin = new Versionista({
+        email: fixture.email,
+        password: 'wrong',
+        url: server.url
+      });
+
+      return badLogin.getSites().then(
+        () => assert.fail('Should not have logged in'),
+        error => assert.ok(/Could not log in \(Incorrect e-mail/.test(error.message))
+      );
+    });
+  });
+
+  describe('sessions', function () {
+    const logIns = () => server.requestsTo(/^\/login$/)
+      .filter(request => request.method === 'POST')
+      .length;
+
+    it('logs in again if the session expires', function () {
+      return versionista.getSites()
+        .then(() => server.expireSessions())
+        .then(() => versionista.getVersions(`${server.url}/74273/6221569/`))
+        .then(versions => {
+          assert.strictEqual(versions.length, 3);
+          assert.strictEqual(logIns(), 2);
+        });
+    });
+
+    it('only logs in once for simultaneous requests with an expired session', function () {
+      return versionista.logIn()
+        .then(() => server.expireSessions())
+        .then(() => Promise.all([
+          versionista.getVersions(`${server.url}/74273/6221569/`),
+          versionista.getVersions(`${server.url}/74273/6221570/`)
+        ]))
+        .then(() => assert.strictEqual(logIns(), 2));
+    });
+
+    it('does not mistake captured pages with login forms for being logged out', function () {
+      const loginPage = '<html><body><form method="post" action="/login"><input name="pw"></form></body></html>';
+      const loginFixture = JSON.parse(JSON.stringify(fixture));
+      loginFixture.sites[0].pages[0].versions[0].content = loginPage;
+      server.fixture = loginFixture;
+
+      return versionista.getVersionRawContent(`${server.url}/74273/6221569/10485802/`)
+        .then(content => {
+          assert.strictEqual(content.body.toString(), loginPage);
+          assert.strictEqual(logIns(), 1);
+        });
+    });
+
+    describe('with a cookie file', function () {
+      let cookieFile;
+      const createVersionista = () => new Versionista({
+        email: fixture.email,
+        password: fixture.password,
+        url: server.url,
+        cookieFile,
+        client: {sleepEvery: 0}
+      });
+
+      beforeEach(function () {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'versionista-cookies-'));
+        cookieFile = path.join(directory, 'cookies.json');
+      });
+
+      afterEach(function () {
+        if (fs.existsSync(cookieFile)) fs.unlinkSync(cookieFile);
+        fs.rmdirSync(path.dirname(cookieFile));
+      });
+
+      it('reuses the session from a previous instance', function () {
+        return createVersionista().getSites()
+          .then(() => createVersionista().getSites())
+          .then(() => assert.strictEqual(logIns(), 1));
+      });
+
+      it('logs in if the saved session has expired', function () {
+        return createVersionista().getSites()
+          .then(() => server.expireSessions())
+          .then(() => createVersionista().getVersions(`${server.url}/74273/6221569/`))
+          .then(versions => {
+            assert.strictEqual(versions.length, 3);
+            assert.strictEqual(logIns(), 2);
+          });
+      });
+    });
+  });
+
+  describe('#getSites', function () {
+    it('lists sites from the pages CSV', function () {
+      return versionista.getSites().then(sites => {
+        assert.deepStrictEqual(sites.map(site => site.id), ['74273', '74274']);
+        assert.strictEqual(sites[0].name, 'EPA - www.epa.gov');
+        assert.strictEqual(sites[0].url, `${server.url}/74273/`);
+        assert.ok(sites[0].lastChange instanceof Date);
+      });
+    });
+  });
+
+  describe('#getPages', function () {
+    it('lists pages for a site', function () {
+      return versionista.getPages(`${server.url}/74273/`).then(pages => {
+        assert.strictEqual(pages.length, 2);
+
+        const page = pages.find(page => page.id === '6221569');
+        assert.strictEqual(page.url, 'https://www.epa.gov/climatechange');
+        assert.strictEqual(page.versionistaUrl, `${server.url}/74273/6221569/`);
+        assert.strictEqual(page.title, 'Climate Change');
+        assert.strictEqual(page.totalVersions, 3);
+        assert.ok(page.lastChange instanceof Date);
+      });
+    });
+
+    it('uses the pages CSV instead of the site API', function () {
+      return versionista.getPages(`${server.url}/74273/`).then(() => {
+        assert.strictEqual(server.requestsTo(/^\/download\/urls\.csv$/).length, 1);
+        assert.strictEqual(server.requestsTo(/^\/api\/site\//).length, 0);
+      });
+    });
+
+    it('falls back to the site API if the CSV does not identify all pages', function () {
+      const unlinkedFixture = JSON.parse(JSON.stringify(fixture));
+      unlinkedFixture.sites[0].pages[1].unlinkedInCsv = true;
+      server.fixture = unlinkedFixture;
+
+      return versionista.getPages(`${server.url}/74273/`).then(pages => {
+        assert.strictEqual(pages.length, 2);
+        assert.strictEqual(server.requestsTo(/^\/api\/site\/74273\/$/).length, 1);
+      });
+    });
+
+    it('does not fail on changes to site data in the site API', function () {
+      const driftedFixture = JSON.parse(JSON.stringify(fixture));
+      driftedFixture.sites[0].apiData = {folder: '0', notes: null};
+      server.fixture = driftedFixture;
+      const schemaMonitor = new SchemaMonitor();
+      const monitored = new Versionista({
+        email: fixture.email,
+        password: fixture.password,
+        url: server.url,
+        client: {sleepEvery: 0},
+        schemaMonitor
+      });
+
+      return Promise.all([
+        versionista.getPagesFromApi(`${server.url}/74273/`),
+        monitored.getPagesFromApi(`${server.url}/74273/`)
+      ])
+        .then(([pages, monitoredPages]) => {
+          assert.strictEqual(pages.length, 2);
+          assert.strictEqual(monitoredPages.length, 2);
+          assert.deepStrictEqual(
+            schemaMonitor.report().drift.map(entry => `${entry.schema}.${entry.field}`).sort(),
+            ['site.folder', 'site.notes']);
+        });
+    });
+
+    it('does not prefix absolute page URLs with the site base', function () {
+      return versionista.getPages(`${server.url}/74273/`).then(pages => {
+        const page = pages.find(page => page.id === '6221570');
+        assert.strictEqual(page.url, 'https://www.epa.gov/report.pdf');
+      });
+    });
+  });
+
+  describe('#getAllPages', function () {
+    it('lists pages for all sites with a single request', function () {
+      return versionista.getAllPages().then(pages => {
+        assert.deepStrictEqual(
+          pages.map(page => `${page.siteId}/${page.id}`),
+          ['74273/6221569', '74273/6221570', '74274/6221600']);
+        assert.strictEqual(server.requestsTo(/^\/(api|download)\//).length, 1);
+      });
+    });
+
+    it('shares the pages CSV with getSites', function () {
+      return versionista.getSites()
+        .then(() => versionista.getAllPages())
+        .then(() => {
+          assert.strictEqual(server.requestsTo(/^\/download\/urls\.csv$/).length, 1);
+        });
+    });
+  });
+
+  describe('#getVersions', function () {
+    let versions;
+
+    beforeEach(function () {
+      return versionista.getVersions(`${server.url}/74273/6221569/`)
+        .then(result => versions = result);
+    });
+
+    it('lists versions in ascending order without deleted versions', function () {
+      assert.deepStrictEqual(
+        versions.map(version => version.versionId),
+        [10485802, 10486000, 10486100]);
+      assert.deepStrictEqual(versions[0].date, new Date(1488326400 * 1000));
+    });
+
+    it('parses status codes and marks errors', function () {
+      assert.strictEqual(versions[0].status, 200);
+      assert.strictEqual(versions[0].errorCode, null);
+      assert.strictEqual(versions[1].status, 404);
+      assert.strictEqual(versions[1].errorCode, '404');
+    });
+
+    it('gives versions UUIDs based on their IDs', function () {
+      assert.strictEqual(versions[0].uuid, uuid.forVersion('74273', '6221569', 10485802));
+      return versionista.getVersions(`${server.url}/74273/6221569/`).then(again => {
+        assert.deepStrictEqual(
+          again.map(version => version.uuid),
+          versions.map(version => version.uuid));
+      });
+    });
+
+    it('links versions to previous and first versions', function () {
+      assert.strictEqual(versions[0].diffWithPreviousUrl, undefined);
+      assert.strictEqual(
+        versions[2].diffWithPreviousUrl,
+        `${server.url}/74273/6221569/10486100:10486000/`);
+      assert.strictEqual(
+        versions[2].diffWithFirstUrl,
+        `${server.url}/74273/6221569/10486100:10485802/`);
+    });
+
+    it('links versions to the previous non-error version', function () {
+      assert.strictEqual(
+        versions[2].diffWithPreviousSafeUrl,
+        `${server.url}/74273/6221569/10486100:10485802/`);
+    });
+  });
+
+  describe('#getVersionHistory', function () {
+    it('keeps records of deleted versions separately', function () {
+      return versionista.getVersionHistory(`${server.url}/74273/6221569/`).then(history => {
+        assert.strictEqual(history.versions.length, 3);
+        assert.strictEqual(history.deletedVersions.length, 1);
+
+        const deleted = history.deletedVersions[0];
+        assert.strictEqual(deleted.versionId, 10485900);
+        assert.strictEqual(deleted.pageId, '6221569');
+        assert.strictEqual(deleted.deleted, true);
+        assert.strictEqual(deleted.hasContent, false);
+        assert.strictEqual(deleted.date, null);
+      });
+    });
+
+    it('gets the same versions from HTML as from the API', function () {
+      const pageUrl = `${server.url}/74273/6221569/`;
+      const withoutSource = version => {
+        const result = Object.assign({}, version);
+        delete result.versionsSource;
+        delete result.loadTime;
+        return result;
+      };
+
+      return Promise.all([
+        versionista.getVersionHistory(pageUrl, 'api'),
+        versionista.getVersionHistory(pageUrl, 'html')
+      ])
+        .then(([fromApi, fromHtml]) => {
+          assert.deepStrictEqual(
+            fromHtml.versions.map(withoutSource),
+            fromApi.versions.map(withoutSource));
+          assert.strictEqual(fromHtml.versions[0].versionsSource, 'html');
+          assert.strictEqual(fromHtml.deletedVersions.length, 0);
+        });
+    });
+
+    it('falls back to HTML if the API does not match the expected schema', function () {
+      server.versionsApiFailure = 'schema';
+      return versionista.getVersionHistory(`${server.url}/74273/6221569/`).then(history => {
+        assert.strictEqual(history.versions.length, 3);
+        assert.ok(history.versions.every(version => version.versionsSource === 'html'));
+      });
+    });
+
+    it('falls back to HTML if the API responds with an error', function () {
+      server.versionsApiFailure = 'http';
+      return versionista.getVersionHistory(`${server.url}/74273/6221569/`).then(history => {
+        assert.strictEqual(history.versions.length, 3);
+        assert.strictEqual(history.versions[1].errorCode, '404');
+      });
+    });
+
+    it('does not fall back if the source is "api"', function () {
+      server.versionsApiFailure = 'schema';
+      return versionista.getVersionHistory(`${server.url}/74273/6221569/`, 'api').then(
+        () => assert.fail('Should have rejected'),
+        error => assert.strictEqual(error.code, 'VERSIONISTA:SCHEMA_MISMATCH')
+      );
+    });
+  });
+
+  describe('#streamVersions', function () {
+    function readAll (readable) {
+      return new Promise((resolve, reject) => {
+        const records = [];
+        readable.on('data', record => records.push(record));
+        readable.on('end', () => resolve(records));
+        readable.on('error', reject);
+      });
+    }
+
+    it('streams every version with its site and page', function () {
+      return readAll(versionista.streamVersions()).then(records => {
+        assert.strictEqual(records.length, 5);
+
+        const record = records.find(record => record.version.versionId === 10485803);
+        assert.strictEqual(record.site.name, 'EPA - www.epa.gov');
+        assert.strictEqual(record.page.url, 'https://www.epa.gov/report.pdf');
+      });
+    });
+
+    it('only streams versions in the requested time frame', function () {
+      const versions = versionista.streamVersions({
+        after: new Date('2017-03-02T00:00:00Z'),
+        before: new Date('2017-03-05T00:00:00Z')
+      });
+      return readAll(versions).then(records => {
+        assert.deepStrictEqual(
+          records.map(record => record.version.versionId).sort(),
+          [10485803, 10486000]);
+      });
+    });
+
+    it('loads pages as they are read, a few at a time', function () {
+      let loading = 0;
+      let mostLoading = 0;
+      const loadedPages = [];
+      const versions = versionista.streamVersions({
+        parallel: 2,
+        versionsForPage (page) {
+          loadedPages.push(page.id);
+          loading++;
+          mostLoading = Math.max(loading, mostLoading);
+          return versionista.getVersions(page.versionistaUrl)
+            .then(versions => {
+              loading--;
+              return versions;
+            });
+        }
+      });
+
+      return new Promise(resolve => setTimeout(resolve, 50))
+        .then(() => {
+          assert.deepStrictEqual(loadedPages, [], 'Nothing should load until the stream is read');
+          return readAll(versions);
+        })
+        .then(records => {
+          assert.strictEqual(mostLoading, 2);
+          // Versions come out in page order, regardless of which loaded first.
+          const pageIds = records.map(record => record.page.id);
+          assert.deepStrictEqual(
+            pageIds.filter((id, index) => id !== pageIds[index - 1]),
+            loadedPages.filter(id => pageIds.includes(id)));
+        });
+    });
+
+    it('reads only the pages of the given sites', function () {
+      return versionista.getSites()
+        .then(sites => versionista.getPages(sites[0].url).then(pages => {
+          sites[0].pages = pages.filter(page => page.id === '6221570');
+          return readAll(versionista.streamVersions({sites: [sites[0]]}));
+        }))
+        .then(records => {
+          assert.deepStrictEqual(records.map(record => record.version.versionId), [10485803]);
+        });
+    });
+  });
+
+  describe('#getVersionRawContent', function () {
+    it('gets the content, hash, and extension of a version', function () {
+      const versionUrl = `${server.url}/74273/6221570/10485803/`;
+      return versionista.getVersionRawContent(versionUrl).then(content => {
+        assert.strictEqual(content.body.toString(), '%PDF-1.4 not a real pdf');
+        assert.strictEqual(content.extension, '.pdf');
+        assert.strictEqual(content.length, 23);
+        assert.strictEqual(content.hash.length, 64);
+      });
+    });
+
+    it('adds normalized hashes of text content with a normalizer', function () {
+      versionista = new Versionista({
+        email: fixture.email,
+        password: fixture.password,
+        url: server.url,
+        client: {sleepEvery: 0},
+        normalizer: new Normalizer({sites: {'74273': {rules: [{pattern: 'One|Two'}]}}})
+      });
+
+      return Promise.all([
+        versionista.getVersionRawContent(`${server.url}/74273/6221569/10485802/`),
+        versionista.getVersionRawContent(`${server.url}/74273/6221569/10486100/`),
+        versionista.getVersionRawContent(`${server.url}/74273/6221570/10485803/`)
+      ])
+        .then(([first, second, pdf]) => {
+          assert.notStrictEqual(first.hash, second.hash);
+          assert.strictEqual(first.normalizedHash, second.normalizedHash);
+          assert.strictEqual(pdf.normalizedHash, undefined);
+        });
+    });
+
+    it('rejects with an INVALID_URL code for missing versions', function () {
+      const versionUrl = `${server.url}/74273/6221570/1/`;
+      return versionista.getVersionRawContent(versionUrl).then(
+        () => assert.fail('Should have rejected'),
+        error => {
+          assert.ok(error instanceof errors.InvalidUrlError);
+          assert.strictEqual(error.code, 'VERSIONISTA:INVALID_URL');
+          assert.strictEqual(error.siteId, '74273');
+          assert.strictEqual(error.pageId, '6221570');
+          assert.strictEqual(error.versionId, '1');
+          assert.strictEqual(error.operation, 'content');
+        }
+      );
+    });
+  });
+
+  describe('#saveVersionRawContent', function () {
+    const versionUrl = () => `${server.url}/74273/6221570/10485803/`;
+    let directory;
+
+    beforeEach(function () {
+      directory = fs.mkdtempSync(path.join(os.tmpdir(), 'versionista-content-'));
+    });
+
+    afterEach(function () {
+      fs.readdirSync(directory).forEach(name => fs.unlinkSync(path.join(directory, name)));
+      fs.rmdirSync(directory);
+    });
+
+    it('streams content to a file and hashes it', function () {
+      const filePath = path.join(directory, 'content');
+      return Promise.all([
+        versionista.saveVersionRawContent(versionUrl(), filePath),
+        versionista.getVersionRawContent(versionUrl())
+      ])
+        .then(([saved, content]) => {
+          assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '%PDF-1.4 not a real pdf');
+          assert.strictEqual(saved.body, undefined);
+          assert.strictEqual(saved.extension, '.pdf');
+          assert.strictEqual(saved.length, 23);
+          assert.strictEqual(saved.hash, content.hash);
+        });
+    });
+
+    it('keeps small content in memory with maxMemorySize', function () {
+      const filePath = path.join(directory, 'content');
+      return versionista.saveVersionRawContent(versionUrl(), filePath, {maxMemorySize: 100})
+        .then(saved => {
+          assert.strictEqual(saved.body.toString(), '%PDF-1.4 not a real pdf');
+          assert.strictEqual(fs.readFileSync(filePath, 'utf8'), '%PDF-1.4 not a real pdf');
+        });
+    });
+
+    it('adds normalized hashes of text content streamed to a file', function () {
+      versionista = new Versionista({
+        email: fixture.email,
+        password: fixture.password,
+        url: server.url,
+        client: {sleepEvery: 0},
+        normalizer: new Normalizer({sites: {'74273': {rules: [{pattern: 'One|Two'}]}}})
+      });
+
+      return Promise.all([
+        versionista.saveVersionRawContent(`${server.url}/74273/6221569/10485802/`, path.join(directory, 'first')),
+        versionista.saveVersionRawContent(`${server.url}/74273/6221569/10486100/`, path.join(directory, 'second'))
+      ])
+        .then(([first, second]) => {
+          assert.strictEqual(first.body, undefined);
+          assert.notStrictEqual(first.hash, second.hash);
+          assert.ok(first.normalizedHash);
+          assert.strictEqual(first.normalizedHash, second.normalizedHash);
+        });
+    });
+
+    it('rejects content larger than maxSize and removes the file', function () {
+      const filePath = path.join(directory, 'content');
+      return versionista.saveVersionRawContent(versionUrl(), filePath, {maxSize: 10}).then(
+        () => assert.fail('Should have rejected'),
+        error => {
+          assert.ok(error instanceof errors.ContentTooLargeError);
+          assert.strictEqual(error.code, 'VERSIONISTA:CONTENT_TOO_LARGE');
+          assert.strictEqual(error.versionId, '10485803');
+          assert.ok(!fs.existsSync(filePath));
+        }
+      );
+    });
+  });
+
+  describe('#getVersionDiff', function () {
+    const diffUrl = () => `${server.url}/74273/6221569/10486100:10485802/`;
+
+    it('follows the diff host procedure to get a diff', function () {
+      return versionista.getVersionDiff(diffUrl()).then(diff => {
+        assert.ok(diff.content.includes('only diff of 10486100 against 10485802'));
+        assert.strictEqual(server.requestsTo(/^\/api\/ip_url\//)[0].method, 'POST');
+      });
+    });
+
+    it('gets other types of diffs', function () {
+      return versionista.getVersionDiff(diffUrl(), 'text_only').then(diff => {
+        assert.ok(diff.content.includes('text_only diff of'));
+      });
+    });
+
+    it('gets binary diffs with an appropriate extension', function () {
+      return versionista.getVersionDiff(diffUrl(), 'screenshots').then(diff => {
+        assert.ok(Buffer.isBuffer(diff.content));
+        assert.strictEqual(diff.content[8], 0xff);
+        assert.strictEqual(diff.extension, '.png');
+        assert.strictEqual(diff.length, 12);
+      });
+    });
+
+    it('ignores Versionista-specific markup when hashing', function () {
+      return versionista.getVersionDiff(diffUrl())
+        .then(first => new Promise(resolve => setTimeout(() => resolve(first), 5)))
+        .then(first => versionista.getVersionDiff(diffUrl()).then(second => {
+          assert.notStrictEqual(first.content, second.content);
+          assert.strictEqual(first.hash, second.hash);
+          assert.ok(first.length < first.content.length);
+        }));
+    });
+
+    it('ignores Versionista-specific markup in diffs without a usable content type', function () {
+      const diffs = [];
+      const getDiff = contentType => {
+        server.diffContentType = contentType;
+        return versionista.getVersionDiff(diffUrl()).then(diff => diffs.push(diff));
+      };
+
+      return getDiff(null)
+        .then(() => getDiff('application/octet-stream'))
+        .then(() => {
+          server.diffContentType = 'text/html';
+          return versionista.getVersionDiff(diffUrl()).then(html => {
+            diffs.forEach(diff => {
+              assert.strictEqual(diff.hash, html.hash);
+              assert.strictEqual(diff.extension, '.html');
+            });
+          });
+        });
+    });
+
+    it('rejects with an INVALID_URL code for bad comparisons', function () {
+      const badUrl = `${server.url}/74273/6221569/10486100:1/`;
+      return versionista.getVersionDiff(badUrl).then(
+        () => assert.fail('Should have rejected'),
+        error => assert.strictEqual(error.code, 'VERSIONISTA:INVALID_URL')
+      );
+    });
+
+    it('rejects with a DiffHostError if the diff host fails', function () {
+      server.failRequestsTo(/^\/api\/ip_url\//, 400);
+      return versionista.getVersionDiff(diffUrl(), 'text').then(
+        () => assert.fail('Should have rejected'),
+        error => {
+          assert.ok(error instanceof errors.DiffHostError);
+          assert.strictEqual(error.code, 'VERSIONISTA:API_ERROR');
+          assert.strictEqual(error.versionId, '10486100');
+          assert.strictEqual(error.diffType, 'text');
+        }
+      );
+    });
+
+    it('adds normalized hashes with a normalizer', function () {
+      versionista = new Versionista({
+        email: fixture.email,
+        password: fixture.password,
+        url: server.url,
+        client: {sleepEvery: 0},
+        normalizer: new Normalizer({rules: [{pattern: 'against \\d+'}]})
+      });
+
+      return Promise.all([
+        versionista.getVersionDiff(diffUrl()),
+        versionista.getVersionDiff(`${server.url}/74273/6221569/10486100:0/`)
+      ])
+        .then(([first, second]) => {
+          assert.notStrictEqual(first.hash, second.hash);
+          assert.strictEqual(first.normalizedHash, second.normalizedHash);
+        });
+    });
+
+    describe('with the local diff engine', function () {
+      beforeEach(function () {
+        versionista = new Versionista({
+          email: fixture.email,
+          password: fixture.password,
+          url: server.url,
+          client: {sleepEvery: 0},
+          diffEngine: 'local'
+        });
+      });
+
+      it('diffs the raw content of both versions', function () {
+        return versionista.getVersionDiff(diffUrl()).then(diff => {
+          assert.strictEqual(diff.engine, 'local');
+          assert.ok(diff.content.includes('<del>&lt;html&gt;&lt;head&gt;&lt;title&gt;Climate Change&lt;/title&gt;&lt;/head&gt;&lt;body&gt;One'));
+          assert.ok(diff.content.includes('<ins>&lt;html&gt;&lt;head&gt;&lt;title&gt;Climate Change&lt;/title&gt;&lt;/head&gt;&lt;body&gt;Two'));
+          assert.strictEqual(diff.extension, '.html');
+          assert.strictEqual(server.requestsTo(/^\/api\/ip_url\//).length, 0);
+        });
+      });
+
+      it('diffs only the text for text_only diffs', function () {
+        return versionista.getVersionDiff(diffUrl(), 'text_only').then(diff => {
+          assert.ok(diff.content.includes('<del>One</del>\n<ins>Two</ins>'));
+          assert.ok(!diff.content.includes('Climate Change'));
+        });
+      });
+
+      it('diffs against nothing for the first version', function () {
+        return versionista.getVersionDiff(`${server.url}/74273/6221569/10485802:0/`, 'text_only')
+          .then(diff => {
+            assert.ok(diff.content.includes('<ins>One</ins>'));
+            assert.ok(!diff.content.includes('<del>'));
+          });
+      });
+
+      it('does not diff content that is not text', function () {
+        return versionista.getVersionDiff(`${server.url}/74273/6221570/10485803:0/`)
+          .then(diff => assert.strictEqual(diff, null));
+      });
+
+      it('does not diff content bigger than maxDiffableSize', function () {
+        versionista = new Versionista({
+          email: fixture.email,
+          password: fixture.password,
+          url: server.url,
+          client: {sleepEvery: 0},
+          diffEngine: 'local',
+          maxDiffableSize: 60
+        });
+        return versionista.getVersionDiff(diffUrl())
+          .then(diff => assert.strictEqual(diff, null));
+      });
+
+      it('reuses content that was already downloaded', function () {
+        return Promise.all([
+          versionista.getVersionRawContent(`${server.url}/74273/6221569/10485802`),
+          versionista.getVersionRawContent(`${server.url}/74273/6221569/10486100`)
+        ])
+          .then(() => {
+            server.clearRequests();
+            return versionista.getVersionDiff(diffUrl());
+          })
+          .then(diff => {
+            assert.strictEqual(diff.engine, 'local');
+            assert.strictEqual(server.requestsTo(/\/download\/?$/).length, 0);
+          });
+      });
+
+      it('rejects diff types it cannot make', function () {
+        return versionista.getVersionDiff(diffUrl(), 'screenshots').then(
+          () => assert.fail('Should have rejected'),
+          error => assert.strictEqual(error.diffType, 'screenshots')
+        );
+      });
+    });
+
+    describe('with the fallback diff engine', function () {
+      beforeEach(function () {
+        versionista = new Versionista({
+          email: fixture.email,
+          password: fixture.password,
+          url: server.url,
+          client: {sleepEvery: 0},
+          diffEngine: 'fallback'
+        });
+      });
+
+      it('uses the diff host when it works', function () {
+        return versionista.getVersionDiff(diffUrl()).then(diff => {
+          assert.ok(diff.content.includes('only diff of 10486100 against 10485802'));
+          assert.strictEqual(diff.engine, undefined);
+        });
+      });
+
+      it('makes diffs locally if the diff host fails', function () {
+        server.failRequestsTo(/^\/api\/ip_url\//, 400);
+        return versionista.getVersionDiff(diffUrl(), 'text_only').then(diff => {
+          assert.strictEqual(diff.engine, 'local');
+          assert.ok(diff.content.includes('<ins>Two</ins>'));
+        });
+      });
+
+      it('does not fall back for diff types it cannot make locally', function () {
+        server.failRequestsTo(/^\/api\/ip_url\//, 400);
+        return versionista.getVersionDiff(diffUrl(), 'text').then(
+          () => assert.fail('Should have rejected'),
+          error => assert.ok(error instanceof errors.DiffHostError)
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,166 @@
+'use strict';
+
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const WarcWriter = require('../lib/warc');
+const {readWarc, readWarcFields} = require('./support/read-warc');
+
+function collect () {
+  const chunks = [];
+  const output = new stream.Writable({
+    write (chunk, encoding, callback) {
+      chunks.push(chunk);
+      callback();
+    }
+  });
+  output.data = () => Buffer.concat(chunks);
+  return output;
+}
+
+describe('WarcWriter', function () {
+  const body = Buffer.from([0x25, 0x50, 0x44, 0x46, 0xff, 0x00]);
+
+  function writeExample (options) {
+    const output = collect();
+    const writer = new WarcWriter(output, options);
+    writer.writeInfo({software: 'test'}, 'example.warc');
+    const id = writer.writeResponse({
+      targetUri: 'https://www.epa.gov/report.pdf',
+      date: new Date('2017-03-01T00:00:00.123Z'),
+      status: 200,
+      headers: {'content-type': 'application/pdf', 'transfer-encoding': 'chunked'},
+      body
+    });
+    writer.writeMetadata({
+      targetUri: 'https://www.epa.gov/report.pdf',
+      date: new Date('2017-03-01T00:00:00Z'),
+      refersTo: id,
+      fields: {versionId: 10485803, diff: {hash: 'abc', length: 5}}
+    });
+    return writer.end().then(() => readWarc(output.data()));
+  }
+
+  it('writes response records with an HTTP response', function () {
+    return writeExample().then(records => {
+      assert.deepStrictEqual(
+        records.map(record => record.headers['WARC-Type']),
+        ['warcinfo', 'response', 'metadata']);
+
+      const response = records[1];
+      assert.strictEqual(response.version, 'WARC/1.0');
+      assert.strictEqual(response.headers['WARC-Target-URI'], 'https://www.epa.gov/report.pdf');
+      assert.strictEqual(response.headers['WARC-Date'], '2017-03-01T00:00:00Z');
+      assert.strictEqual(response.headers['Content-Type'], 'application/http;msgtype=response');
+      assert.strictEqual(response.headers['WARC-Payload-Digest'], WarcWriter.digest(body));
+      assert.strictEqual(response.headers['WARC-Block-Digest'], WarcWriter.digest(response.block));
+
+      const head = 'HTTP/1.1 200 OK\r\ncontent-type: application/pdf\r\ncontent-length: 6\r\n\r\n';
+      assert.deepStrictEqual(response.block, Buffer.concat([Buffer.from(head), body]));
+    });
+  });
+
+  it('writes metadata records as WARC fields', function () {
+    return writeExample().then(records => {
+      const metadata = records[2];
+      assert.strictEqual(metadata.headers['WARC-Concurrent-To'], records[1].headers['WARC-Record-ID']);
+      assert.deepStrictEqual(readWarcFields(metadata.block), {
+        versionId: '10485803',
+        'diff.hash': 'abc',
+        'diff.length': '5'
+      });
+    });
+  });
+
+  it('compresses each record separately', function () {
+    return writeExample({gzip: true}).then(records => {
+      assert.strictEqual(records.length, 3);
+    });
+  });
+
+  it('writes a header line for each value of repeated headers', function () {
+    const output = collect();
+    const writer = new WarcWriter(output);
+    writer.writeResponse({
+      targetUri: 'https://www.epa.gov/',
+      status: 200,
+      headers: {'content-type': 'text/html', 'set-cookie': ['a=1', 'b=2']},
+      body: ''
+    });
+    return writer.end().then(() => {
+      const head = readWarc(output.data())[0].block.toString();
+      assert.ok(head.includes('\r\nset-cookie: a=1\r\nset-cookie: b=2\r\n'), head);
+    });
+  });
+
+  [false, true].forEach(gzip => {
+    it(`streams response bodies from files${gzip ? ' with gzip' : ''}`, function () {
+      const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'versionista-warc-'));
+      const bodyPath = path.join(directory, 'body');
+      // Bigger than a single chunk of a file stream.
+      const fileBody = Buffer.alloc(200 * 1024, 'abc');
+      fs.writeFileSync(bodyPath, fileBody);
+
+      const output = collect();
+      const writer = new WarcWriter(output, {gzip});
+      writer.writeResponse({
+        targetUri: 'https://www.epa.gov/',
+        status: 200,
+        headers: {'content-type': 'text/html'},
+        bodyPath
+      });
+      writer.writeInfo({software: 'test'});
+      return writer.end()
+        .then(() => {
+          fs.unlinkSync(bodyPath);
+          fs.rmdirSync(directory);
+
+          const records = readWarc(output.data());
+          assert.deepStrictEqual(
+            records.map(record => record.headers['WARC-Type']),
+            ['response', 'warcinfo']);
+
+          const response = records[0];
+          const head = `HTTP/1.1 200 OK\r\ncontent-type: text/html\r\ncontent-length: ${fileBody.length}\r\n\r\n`;
+          assert.deepStrictEqual(response.block, Buffer.concat([Buffer.from(head), fileBody]));
+          assert.strictEqual(response.headers['WARC-Payload-Digest'], WarcWriter.digest(fileBody));
+          assert.strictEqual(response.headers['WARC-Block-Digest'], WarcWriter.digest(response.block));
+        });
+    });
+  });
+
+  it('waits for the stream to be ready for more', function () {
+    let pendingCallback = null;
+    const output = new stream.Writable({
+      highWaterMark: 1,
+      write (chunk, encoding, callback) {
+        pendingCallback = callback;
+      }
+    });
+    const writer = new WarcWriter(output);
+    writer.writeInfo({software: 'test'});
+    writer.writeInfo({software: 'test'});
+
+    let ready = false;
+    writer.ready().then(() => { ready = true; });
+
+    return new Promise(resolve => setTimeout(resolve, 20))
+      .then(() => {
+        assert.strictEqual(ready, false);
+        // Finish the first record; the second is only written after that.
+        pendingCallback();
+        return new Promise(resolve => setTimeout(resolve, 20));
+      })
+      .then(() => {
+        assert.strictEqual(ready, false);
+        pendingCallback();
+        return writer.ready();
+      });
+  });
+
+  it('uses base 32 SHA-1 digests', function () {
+    assert.strictEqual(WarcWriter.digest('abc'), 'sha1:VGMT4NSHA2AWVOR6EVYXQUGCNSONBWE5');
+  });
+});